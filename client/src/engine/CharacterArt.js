@@ -0,0 +1,96 @@
+import { DEFAULT_COLOR, DEFAULT_VARIANT } from '@dont-starve-clone/shared';
+
+const OUTLINE_COLOR = '#1a1a1a';
+const HAIR_COLOR = '#2c2c2c';
+
+// Draw a character onto a 128×128 canvas context. `look` is { color, variant }
+// from the player's profile. Used for in-game textures and the lobby preview.
+export function drawCharacter(ctx, look = {}) {
+  const bodyColor = look.color || DEFAULT_COLOR;
+  const variant = look.variant || DEFAULT_VARIANT;
+
+  // Clear with transparency
+  ctx.clearRect(0, 0, 128, 128);
+
+  // Draw character body (Don't Starve style - elongated, slightly wobbly)
+  ctx.save();
+  ctx.translate(64, 100);
+
+  // Body outline
+  ctx.fillStyle = OUTLINE_COLOR;
+  ctx.beginPath();
+  ctx.ellipse(0, -30, 22, 35, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Body fill
+  ctx.fillStyle = bodyColor;
+  ctx.beginPath();
+  ctx.ellipse(0, -30, 18, 31, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Pigtails hang behind the head
+  if (variant === 'pigtails') {
+    ctx.fillStyle = HAIR_COLOR;
+    ctx.beginPath();
+    ctx.ellipse(-24, -70, 7, 14, 0.4, 0, Math.PI * 2);
+    ctx.ellipse(24, -70, 7, 14, -0.4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Head outline
+  ctx.fillStyle = OUTLINE_COLOR;
+  ctx.beginPath();
+  ctx.arc(0, -75, 22, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Head fill (skin tone)
+  ctx.fillStyle = '#ffdbac';
+  ctx.beginPath();
+  ctx.arc(0, -75, 18, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Eyes (Don't Starve style - big, round)
+  ctx.fillStyle = '#fff';
+  ctx.beginPath();
+  ctx.ellipse(-7, -78, 6, 8, 0, 0, Math.PI * 2);
+  ctx.ellipse(7, -78, 6, 8, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Pupils
+  ctx.fillStyle = '#000';
+  ctx.beginPath();
+  ctx.arc(-6, -77, 3, 0, Math.PI * 2);
+  ctx.arc(8, -77, 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = HAIR_COLOR;
+  ctx.beginPath();
+  if (variant === 'pigtails') {
+    // Fringe
+    ctx.arc(0, -80, 18, Math.PI * 1.05, Math.PI * 1.95);
+    ctx.closePath();
+  } else if (variant === 'strongman') {
+    // Bald, with a curly moustache
+    ctx.moveTo(0, -67);
+    ctx.quadraticCurveTo(-8, -70, -14, -64);
+    ctx.quadraticCurveTo(-7, -64, 0, -63);
+    ctx.quadraticCurveTo(7, -64, 14, -64);
+    ctx.quadraticCurveTo(8, -70, 0, -67);
+  } else {
+    // Hair (messy, Don't Starve style)
+    ctx.moveTo(-15, -85);
+    ctx.quadraticCurveTo(-20, -100, -10, -95);
+    ctx.quadraticCurveTo(-5, -105, 0, -95);
+    ctx.quadraticCurveTo(5, -105, 10, -95);
+    ctx.quadraticCurveTo(20, -100, 15, -85);
+    ctx.closePath();
+  }
+  ctx.fill();
+
+  // Legs (simple)
+  ctx.fillStyle = OUTLINE_COLOR;
+  ctx.fillRect(-12, -5, 8, 15);
+  ctx.fillRect(4, -5, 8, 15);
+
+  ctx.restore();
+}
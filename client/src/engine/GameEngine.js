@@ -16,6 +16,13 @@ import {
   Animation,
   TransformNode
 } from '@babylonjs/core';
+import { ITEMS, CHUNK_CONFIG, GROUND_TYPES, DEFAULT_GROUND, EMOTES } from '@dont-starve-clone/shared';
+import { drawCharacter } from './CharacterArt.js';
+
+// How long a chat line stays above the speaker's head
+const SPEECH_BUBBLE_SECONDS = 6;
+// Name tags and speech bubbles are drawn over the world so trees can't hide them
+const LABEL_RENDERING_GROUP = 1;
 
 export class GameEngine {
   constructor(canvas) {
@@ -26,6 +33,7 @@ export class GameEngine {
     this.shadowGenerator = null;
     this.playerMeshes = new Map();
     this.worldObjectMeshes = new Map();
+    this.chunkMeshes = new Map();
     this.dayPhase = 'day';
   }
 
@@ -74,9 +82,6 @@ export class GameEngine {
     // Setup lighting
     this.setupLighting();
     
-    // Create ground
-    this.createGround();
-    
     console.log('✅ Babylon.js engine initialized');
     return this;
   }
@@ -134,53 +139,73 @@ export class GameEngine {
     this.shadowGenerator.darkness = 0.4;
   }
 
-  createGround() {
-    // Main ground plane
-    const ground = MeshBuilder.CreateGround('ground', {
-      width: 100,
-      height: 100,
-      subdivisions: 20
+  // Ground is built per chunk as chunks stream in, so worlds can be any size.
+  // `ground` holds a type per tile, row by row from the most negative x and z.
+  createChunkGround(key, cx, cz, ground) {
+    const size = CHUNK_CONFIG.SIZE;
+    const tiles = CHUNK_CONFIG.GROUND_TILES;
+    
+    const chunkGround = MeshBuilder.CreateGround(`ground_${key}`, {
+      width: size,
+      height: size,
+      subdivisions: 4
     }, this.scene);
+    chunkGround.position = new Vector3((cx + 0.5) * size, 0, (cz + 0.5) * size);
     
-    // Ground material with grass-like appearance
-    const groundMat = new StandardMaterial('groundMat', this.scene);
+    const groundMat = new StandardMaterial(`groundMat_${key}`, this.scene);
     
-    // Create procedural grass texture
-    const groundTexture = new DynamicTexture('groundTexture', 512, this.scene);
+    // Paint each tile its ground colour, with some noise so it doesn't look flat
+    const textureSize = 256;
+    const tilePixels = textureSize / tiles;
+    const groundTexture = new DynamicTexture(`groundTexture_${key}`, textureSize, this.scene);
     const ctx = groundTexture.getContext();
     
-    // Base grass color
-    ctx.fillStyle = '#4a7c45';
-    ctx.fillRect(0, 0, 512, 512);
-    
-    // Add noise/variation
-    for (let i = 0; i < 5000; i++) {
-      const x = Math.random() * 512;
-      const y = Math.random() * 512;
-      const shade = Math.random() * 40 - 20;
-      ctx.fillStyle = `rgb(${74 + shade}, ${124 + shade}, ${69 + shade})`;
-      ctx.fillRect(x, y, 3, 3);
-    }
+    ctx.clearRect(0, 0, textureSize, textureSize);
     
-    // Add some darker patches
-    for (let i = 0; i < 50; i++) {
-      const x = Math.random() * 512;
-      const y = Math.random() * 512;
-      ctx.fillStyle = 'rgba(30, 60, 30, 0.3)';
-      ctx.beginPath();
-      ctx.arc(x, y, Math.random() * 30 + 10, 0, Math.PI * 2);
-      ctx.fill();
-    }
+    ground.forEach((type, i) => {
+      // Empty tiles are outside the world
+      if (!type) return;
+      
+      const base = Color3.FromHexString((GROUND_TYPES[type] ?? GROUND_TYPES[DEFAULT_GROUND]).color);
+      const r = base.r * 255;
+      const g = base.g * 255;
+      const b = base.b * 255;
+      
+      // The texture's top row is the chunk's far (+z) edge
+      const left = (i % tiles) * tilePixels;
+      const top = (tiles - 1 - Math.floor(i / tiles)) * tilePixels;
+      
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fillRect(left, top, tilePixels, tilePixels);
+      
+      for (let j = 0; j < 60; j++) {
+        const shade = Math.random() * 40 - 20;
+        ctx.fillStyle = `rgb(${r + shade}, ${g + shade}, ${b + shade})`;
+        ctx.fillRect(left + Math.random() * (tilePixels - 2), top + Math.random() * (tilePixels - 2), 2, 2);
+      }
+    });
     
     groundTexture.update();
     
     groundMat.diffuseTexture = groundTexture;
+    groundMat.diffuseTexture.hasAlpha = true;
     groundMat.specularColor = new Color3(0.1, 0.1, 0.1);
-    ground.material = groundMat;
-    ground.receiveShadows = true;
+    chunkGround.material = groundMat;
+    chunkGround.receiveShadows = true;
+    
+    this.chunkMeshes.get(key)?.dispose(false, true);
+    this.chunkMeshes.set(key, chunkGround);
   }
 
-  createPlayer(id, isLocal = false) {
+  removeChunkGround(key) {
+    const chunkGround = this.chunkMeshes.get(key);
+    if (!chunkGround) return;
+    
+    chunkGround.dispose(false, true);
+    this.chunkMeshes.delete(key);
+  }
+
+  createPlayer(id, isLocal = false, isGhost = false, look = {}) {
     // Create parent node for player
     const playerNode = new TransformNode(`player_${id}`, this.scene);
     
@@ -195,7 +220,7 @@ export class GameEngine {
     
     // Create character texture
     const spriteMat = new StandardMaterial(`spriteMat_${id}`, this.scene);
-    const spriteTexture = this.createCharacterTexture(isLocal);
+    const spriteTexture = this.createCharacterTexture(look);
     spriteMat.diffuseTexture = spriteTexture;
     spriteMat.diffuseTexture.hasAlpha = true;
     spriteMat.useAlphaFromDiffuseTexture = true;
@@ -220,100 +245,221 @@ export class GameEngine {
     // Add to shadow generator
     this.shadowGenerator.addShadowCaster(sprite);
     
+    const nameTag = this.createNameTag(id, look.name ?? '');
+    nameTag.parent = playerNode;
+    nameTag.position.y = 2.45;
+    
     // Store reference
     this.playerMeshes.set(id, {
       node: playerNode,
       sprite,
       shadow: shadowDisc,
       material: spriteMat,
-      isLocal
+      texture: spriteTexture,
+      ghostTexture: null,
+      nameTag,
+      speechBubble: null,
+      speechTimer: null,
+      isLocal,
+      isGhost: false
     });
     
+    if (isGhost) {
+      this.setPlayerGhost(playerNode, true);
+    }
+    
     return playerNode;
   }
 
-  createCharacterTexture(isLocal) {
-    const texture = new DynamicTexture('charTexture', 128, this.scene);
+  // Billboarded name above a player's head
+  createNameTag(id, name) {
+    const texture = new DynamicTexture(`nameTagTexture_${id}`, { width: 256, height: 64 }, this.scene);
     const ctx = texture.getContext();
     
-    // Clear with transparency
-    ctx.clearRect(0, 0, 128, 128);
+    ctx.clearRect(0, 0, 256, 64);
+    ctx.font = 'bold 30px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
     
-    // Character color (green for local, red for others)
-    const bodyColor = isLocal ? '#4CAF50' : '#f44336';
-    const outlineColor = '#1a1a1a';
+    // Dark outline keeps it readable on grass and snow alike
+    ctx.lineWidth = 6;
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(name, 128, 32, 244);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(name, 128, 32, 244);
     
-    // Draw character body (Don't Starve style - elongated, slightly wobbly)
-    ctx.save();
-    ctx.translate(64, 100);
+    texture.hasAlpha = true;
+    texture.update();
     
-    // Body outline
-    ctx.fillStyle = outlineColor;
-    ctx.beginPath();
-    ctx.ellipse(0, -30, 22, 35, 0, 0, Math.PI * 2);
-    ctx.fill();
+    const tag = MeshBuilder.CreatePlane(`nameTag_${id}`, { width: 2, height: 0.5 }, this.scene);
+    tag.billboardMode = Mesh.BILLBOARDMODE_ALL;
+    tag.renderingGroupId = LABEL_RENDERING_GROUP;
+    tag.isPickable = false;
+    tag.material = this.createLabelMaterial(`nameTagMat_${id}`, texture);
+    return tag;
+  }
+
+  // Unlit, so labels don't darken at night
+  createLabelMaterial(name, texture) {
+    const mat = new StandardMaterial(name, this.scene);
+    mat.diffuseTexture = texture;
+    mat.useAlphaFromDiffuseTexture = true;
+    mat.emissiveColor = new Color3(1, 1, 1);
+    mat.disableLighting = true;
+    mat.backFaceCulling = false;
+    return mat;
+  }
+
+  // Pop a bubble with `text` above a player, replacing any bubble already
+  // there; it goes away on its own after `seconds`
+  showSpeechBubble(playerNode, text, seconds = SPEECH_BUBBLE_SECONDS) {
+    const id = playerNode.name.replace('player_', '');
+    const playerData = this.playerMeshes.get(id);
+    if (!playerData) return;
     
-    // Body fill
-    ctx.fillStyle = bodyColor;
-    ctx.beginPath();
-    ctx.ellipse(0, -30, 18, 31, 0, 0, Math.PI * 2);
-    ctx.fill();
+    this.hideSpeechBubble(playerData);
     
-    // Head outline
-    ctx.fillStyle = outlineColor;
+    const width = 512;
+    const height = 160;
+    const tailHeight = 18;
+    const lineHeight = 34;
+    const texture = new DynamicTexture(`speechTexture_${id}`, { width, height }, this.scene);
+    const ctx = texture.getContext();
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '28px sans-serif';
+    
+    // Up to three lines; the box shrinks to fit and sits on top of its tail
+    const lines = wrapText(ctx, text, width - 48, 3);
+    const boxWidth = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 36;
+    const boxHeight = lines.length * lineHeight + 20;
+    const left = (width - boxWidth) / 2;
+    const top = height - tailHeight - boxHeight;
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.strokeStyle = '#1a1a1a';
+    ctx.lineWidth = 4;
     ctx.beginPath();
-    ctx.arc(0, -75, 22, 0, Math.PI * 2);
+    traceRoundedRect(ctx, left + 2, top + 2, boxWidth - 4, boxHeight - 4, 16);
     ctx.fill();
+    ctx.stroke();
     
-    // Head fill (skin tone)
-    ctx.fillStyle = '#ffdbac';
+    // Tail pointing down at the speaker
     ctx.beginPath();
-    ctx.arc(0, -75, 18, 0, Math.PI * 2);
+    ctx.moveTo(width / 2 - 12, top + boxHeight - 4);
+    ctx.lineTo(width / 2, height - 2);
+    ctx.lineTo(width / 2 + 12, top + boxHeight - 4);
     ctx.fill();
+    ctx.stroke();
+    ctx.fillRect(width / 2 - 10, top + boxHeight - 8, 20, 6);
+    
+    ctx.fillStyle = '#1a1a1a';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, width / 2, top + 12 + i * lineHeight);
+    });
     
-    // Eyes (Don't Starve style - big, round)
-    ctx.fillStyle = '#fff';
+    texture.hasAlpha = true;
+    texture.update();
+    
+    const bubble = MeshBuilder.CreatePlane(`speechBubble_${id}`, { width: 3, height: 3 * height / width }, this.scene);
+    bubble.parent = playerNode;
+    bubble.position.y = 3.2;
+    bubble.billboardMode = Mesh.BILLBOARDMODE_ALL;
+    bubble.renderingGroupId = LABEL_RENDERING_GROUP;
+    bubble.isPickable = false;
+    bubble.material = this.createLabelMaterial(`speechMat_${id}`, texture);
+    
+    playerData.speechBubble = bubble;
+    playerData.speechTimer = setTimeout(() => this.hideSpeechBubble(playerData), seconds * 1000);
+    this.animateScale(bubble, 0, 1, 8, null, 1.1);
+  }
+
+  hideSpeechBubble(playerData) {
+    clearTimeout(playerData.speechTimer);
+    playerData.speechTimer = null;
+    playerData.speechBubble?.dispose(false, true);
+    playerData.speechBubble = null;
+  }
+
+  // `look` is the player's { name, color, variant }, see shared/profiles.js
+  createCharacterTexture(look) {
+    const texture = new DynamicTexture('charTexture', 128, this.scene);
+    drawCharacter(texture.getContext(), look);
+    texture.update();
+    return texture;
+  }
+
+  createGhostTexture() {
+    const texture = new DynamicTexture('ghostTexture', 128, this.scene);
+    const ctx = texture.getContext();
+    
+    ctx.clearRect(0, 0, 128, 128);
+    
+    ctx.save();
+    ctx.translate(64, 100);
+    
+    // Sheet-like body with a wavy hem
+    ctx.fillStyle = '#ecf0f1';
     ctx.beginPath();
-    ctx.ellipse(-7, -78, 6, 8, 0, 0, Math.PI * 2);
-    ctx.ellipse(7, -78, 6, 8, 0, 0, Math.PI * 2);
+    ctx.moveTo(-28, 0);
+    ctx.lineTo(-28, -60);
+    ctx.arc(0, -60, 28, Math.PI, 0);
+    ctx.lineTo(28, 0);
+    ctx.quadraticCurveTo(21, -10, 14, 0);
+    ctx.quadraticCurveTo(7, -10, 0, 0);
+    ctx.quadraticCurveTo(-7, -10, -14, 0);
+    ctx.quadraticCurveTo(-21, -10, -28, 0);
+    ctx.closePath();
     ctx.fill();
     
-    // Pupils
-    ctx.fillStyle = '#000';
+    // Hollow eyes and mouth
+    ctx.fillStyle = '#2c3e50';
     ctx.beginPath();
-    ctx.arc(-6, -77, 3, 0, Math.PI * 2);
-    ctx.arc(8, -77, 3, 0, Math.PI * 2);
+    ctx.ellipse(-10, -62, 5, 8, 0, 0, Math.PI * 2);
+    ctx.ellipse(10, -62, 5, 8, 0, 0, Math.PI * 2);
     ctx.fill();
     
-    // Hair (messy, Don't Starve style)
-    ctx.fillStyle = '#2c2c2c';
     ctx.beginPath();
-    ctx.moveTo(-15, -85);
-    ctx.quadraticCurveTo(-20, -100, -10, -95);
-    ctx.quadraticCurveTo(-5, -105, 0, -95);
-    ctx.quadraticCurveTo(5, -105, 10, -95);
-    ctx.quadraticCurveTo(20, -100, 15, -85);
-    ctx.closePath();
+    ctx.ellipse(0, -42, 6, 4, 0, 0, Math.PI * 2);
     ctx.fill();
     
-    // Legs (simple)
-    ctx.fillStyle = outlineColor;
-    ctx.fillRect(-12, -5, 8, 15);
-    ctx.fillRect(4, -5, 8, 15);
-    
     ctx.restore();
     
     texture.update();
     return texture;
   }
 
+  setPlayerGhost(playerNode, isGhost) {
+    const id = playerNode.name.replace('player_', '');
+    const playerData = this.playerMeshes.get(id);
+    if (!playerData) return;
+    
+    if (isGhost && !playerData.ghostTexture) {
+      playerData.ghostTexture = this.createGhostTexture();
+      playerData.ghostTexture.hasAlpha = true;
+    }
+    
+    playerData.isGhost = isGhost;
+    playerData.material.diffuseTexture = isGhost ? playerData.ghostTexture : playerData.texture;
+    playerData.shadow.isVisible = !isGhost;
+    
+    // Ghosts float a little above the ground and are see-through
+    this.setPlayerState(playerNode, 'idle');
+  }
+
   removePlayer(playerNode) {
     const id = playerNode.name.replace('player_', '');
     const playerData = this.playerMeshes.get(id);
     
     if (playerData) {
+      this.hideSpeechBubble(playerData);
+      playerData.nameTag.dispose(false, true);
       playerData.sprite.dispose();
       playerData.shadow.dispose();
+      playerData.texture.dispose();
+      playerData.ghostTexture?.dispose();
       playerData.node.dispose();
       this.playerMeshes.delete(id);
     }
@@ -327,6 +473,11 @@ export class GameEngine {
     // Stop any existing animations first
     this.scene.stopAnimation(playerData.sprite);
     
+    // Emotes tilt and squash the sprite, so every state starts upright
+    playerData.sprite.rotation.z = 0;
+    playerData.sprite.scaling.x = 1;
+    playerData.sprite.scaling.y = 1;
+    
     if (state === 'walking') {
       // Walking bob animation
       const animation = new Animation(
@@ -337,10 +488,12 @@ export class GameEngine {
         Animation.ANIMATIONLOOPMODE_CYCLE
       );
       
+      // Ghosts bob around their floating height
+      const baseY = playerData.isGhost ? 1.3 : 1;
       animation.setKeys([
-        { frame: 0, value: 1 },
-        { frame: 15, value: 1.15 },
-        { frame: 30, value: 1 }
+        { frame: 0, value: baseY },
+        { frame: 15, value: baseY + 0.15 },
+        { frame: 30, value: baseY }
       ]);
       
       playerData.sprite.animations = [animation];
@@ -385,15 +538,87 @@ export class GameEngine {
       this.createActionEffect(playerNode.position);
       playerData.walkAnimation = false;
       
+    } else if (Object.hasOwn(EMOTES, state)) {
+      this.playEmote(playerNode, playerData, state);
+      playerData.walkAnimation = false;
+      
     } else {
       // Idle - reset
-      playerData.sprite.position.y = 1;
-      playerData.sprite.scaling.x = 1;
+      playerData.sprite.position.y = playerData.isGhost ? 1.3 : 1;
+      playerData.material.alpha = playerData.isGhost ? 0.6 : 1;
       playerData.walkAnimation = false;
     }
   }
 
-  createActionEffect(position) {
+  // Emotes loop until the player's state changes, except sit and point,
+  // which settle into a pose. The emote's icon pops up in a speech bubble.
+  playEmote(playerNode, playerData, emote) {
+    const sprite = playerData.sprite;
+    sprite.position.y = 1;
+    
+    let animations;
+    let loop = true;
+    switch (emote) {
+      case 'wave':
+        // Rock side to side
+        animations = [floatAnimation('emoteWave', 'rotation.z', 30, [
+          { frame: 0, value: 0 },
+          { frame: 8, value: 0.15 },
+          { frame: 23, value: -0.15 },
+          { frame: 30, value: 0 }
+        ])];
+        break;
+      case 'dance':
+        // Hop while spinning round (mirroring the sprite)
+        animations = [
+          floatAnimation('emoteDanceHop', 'position.y', 30, [
+            { frame: 0, value: 1 },
+            { frame: 8, value: 1.3 },
+            { frame: 15, value: 1 },
+            { frame: 23, value: 1.3 },
+            { frame: 30, value: 1 }
+          ]),
+          floatAnimation('emoteDanceSpin', 'scaling.x', 30, [
+            { frame: 0, value: 1 },
+            { frame: 15, value: -1 },
+            { frame: 30, value: 1 }
+          ])
+        ];
+        break;
+      case 'sit':
+        // Squash down, keeping the feet on the ground
+        animations = [
+          floatAnimation('emoteSitSquash', 'scaling.y', 30, [
+            { frame: 0, value: 1 },
+            { frame: 6, value: 0.7 }
+          ]),
+          floatAnimation('emoteSitLower', 'position.y', 30, [
+            { frame: 0, value: 1 },
+            { frame: 6, value: 0.7 }
+          ])
+        ];
+        loop = false;
+        break;
+      case 'point':
+        // Lean towards whatever is being pointed at
+        animations = [floatAnimation('emotePoint', 'rotation.z', 30, [
+          { frame: 0, value: 0 },
+          { frame: 6, value: -0.2 }
+        ])];
+        loop = false;
+        break;
+      default:
+        return;
+    }
+    
+    const lastFrame = Math.max(...animations.map((anim) => anim.getHighestFrame()));
+    sprite.animations = animations;
+    this.scene.beginAnimation(sprite, 0, lastFrame, loop);
+    
+    this.showSpeechBubble(playerNode, EMOTES[emote].icon, EMOTES[emote].duration || 2);
+  }
+
+  createActionEffect(position, color = new Color3(1, 0.9, 0.6)) {
     // Create simple particle burst for action feedback
     for (let i = 0; i < 6; i++) {
       const particle = MeshBuilder.CreatePlane('particle', { size: 0.25 }, this.scene);
@@ -402,8 +627,8 @@ export class GameEngine {
       particle.billboardMode = Mesh.BILLBOARDMODE_ALL;
       
       const mat = new StandardMaterial('particleMat', this.scene);
-      mat.diffuseColor = new Color3(1, 0.9, 0.6);
-      mat.emissiveColor = new Color3(0.5, 0.4, 0.2);
+      mat.diffuseColor = color;
+      mat.emissiveColor = color.scale(0.5);
       mat.disableLighting = true;
       particle.material = mat;
       
@@ -433,21 +658,62 @@ export class GameEngine {
     }
   }
 
-  createWorldObject(id, type, x, z, rotation) {
+  playGatherEffect(objectId, verb, x, z) {
+    // Particle colour hints at what was gathered
+    const colors = {
+      chop: new Color3(0.6, 0.4, 0.2),
+      mine: new Color3(0.6, 0.6, 0.6),
+      pick: new Color3(0.5, 0.8, 0.3)
+    };
+    this.createActionEffect(new Vector3(x, 0, z), colors[verb]);
+    
+    const node = this.worldObjectMeshes.get(objectId);
+    if (!node) return;
+    
+    // Quick squash so the object visibly reacts to the hit
+    const squash = new Animation(
+      'gatherSquash',
+      'scaling.y',
+      60,
+      Animation.ANIMATIONTYPE_FLOAT,
+      Animation.ANIMATIONLOOPMODE_CONSTANT
+    );
+    
+    squash.setKeys([
+      { frame: 0, value: 1 },
+      { frame: 4, value: 0.85 },
+      { frame: 10, value: 1.05 },
+      { frame: 16, value: 1 }
+    ]);
+    
+    node.animations = [squash];
+    this.scene.beginAnimation(node, 0, 16, false);
+  }
+
+  createWorldObject(id, type, x, z, rotation, data = {}) {
     let mesh;
     
     switch (type) {
       case 'tree':
-        mesh = this.createTree(id, x, z, rotation);
+        mesh = this.createTree(id, x, z, rotation, data.variant);
         break;
       case 'rock':
         mesh = this.createRock(id, x, z, rotation);
         break;
       case 'grass':
-        mesh = this.createGrass(id, x, z, rotation);
+        mesh = this.createGrass(id, x, z, rotation, data.variant);
         break;
       case 'berry_bush':
-        mesh = this.createBerryBush(id, x, z, rotation);
+        mesh = this.createBerryBush(id, x, z, rotation, data.variant);
+        break;
+      case 'dropped_item':
+        mesh = this.createDroppedItem(id, x, z, data.itemId);
+        break;
+      case 'campfire':
+      case 'science_machine':
+      case 'trap':
+      case 'touchstone':
+        mesh = this.createStructure(id, type, x, z);
         break;
       default:
         mesh = this.createGenericObject(id, x, z);
@@ -457,7 +723,56 @@ export class GameEngine {
     return mesh;
   }
 
-  createTree(id, x, z, rotation) {
+  // Rebuild an object's visuals after its variant (or dropped item) changed,
+  // shrinking the old look away while the new one pops in
+  updateWorldObject(id, data) {
+    const oldNode = this.worldObjectMeshes.get(id);
+    if (oldNode) {
+      this.animateScale(oldNode, 1, 0, 10, () => this.disposeWorldObject(oldNode));
+    }
+    
+    const node = this.createWorldObject(id, data.type, data.x, data.z, data.rotation, data);
+    this.animateScale(node, 0, 1, 14, null, 1.15);
+    return node;
+  }
+
+  removeWorldObject(id) {
+    const node = this.worldObjectMeshes.get(id);
+    if (!node) return;
+    
+    // Forget it straight away so an object respawned under the same id gets a fresh node
+    this.worldObjectMeshes.delete(id);
+    this.animateScale(node, 1, 0, 12, () => this.disposeWorldObject(node));
+  }
+
+  // Every world object owns its own materials and dynamic textures, so they go with it
+  disposeWorldObject(node) {
+    node.dispose(false, true);
+  }
+
+  // Uniform scale tween; `overshoot` adds a little bounce before settling
+  animateScale(node, from, to, frames, onEnd, overshoot) {
+    const anim = new Animation(
+      'worldObjectScale',
+      'scaling',
+      60,
+      Animation.ANIMATIONTYPE_VECTOR3,
+      Animation.ANIMATIONLOOPMODE_CONSTANT
+    );
+    
+    const keys = [{ frame: 0, value: new Vector3(from, from, from) }];
+    if (overshoot) {
+      keys.push({ frame: Math.round(frames * 0.7), value: new Vector3(overshoot, overshoot, overshoot) });
+    }
+    keys.push({ frame: frames, value: new Vector3(to, to, to) });
+    anim.setKeys(keys);
+    
+    node.scaling = new Vector3(from, from, from);
+    node.animations = [anim];
+    this.scene.beginAnimation(node, 0, frames, false, 1, onEnd ?? undefined);
+  }
+
+  createTree(id, x, z, rotation, variant) {
     const treeNode = new TransformNode(`tree_${id}`, this.scene);
     treeNode.position = new Vector3(x, 0, z);
     
@@ -477,38 +792,48 @@ export class GameEngine {
     
     ctx.clearRect(0, 0, 64, 64);
     
-    // Draw trunk
-    ctx.fillStyle = '#4a3728';
-    ctx.beginPath();
-    ctx.moveTo(20, 64);
-    ctx.lineTo(24, 0);
-    ctx.lineTo(40, 0);
-    ctx.lineTo(44, 64);
-    ctx.closePath();
-    ctx.fill();
-    
-    // Bark texture
-    ctx.strokeStyle = '#3a2718';
-    ctx.lineWidth = 2;
-    for (let i = 10; i < 60; i += 8) {
+    if (variant === 'stump') {
+      // Chopped down: just a stump with a pale cut face
+      ctx.fillStyle = '#4a3728';
+      ctx.fillRect(22, 50, 20, 14);
+      ctx.fillStyle = '#c8a97e';
       ctx.beginPath();
-      ctx.moveTo(22 + Math.random() * 4, i);
-      ctx.lineTo(42 - Math.random() * 4, i + 3);
-      ctx.stroke();
+      ctx.ellipse(32, 50, 10, 3, 0, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      // Draw trunk
+      ctx.fillStyle = '#4a3728';
+      ctx.beginPath();
+      ctx.moveTo(20, 64);
+      ctx.lineTo(24, 0);
+      ctx.lineTo(40, 0);
+      ctx.lineTo(44, 64);
+      ctx.closePath();
+      ctx.fill();
+      
+      // Bark texture
+      ctx.strokeStyle = '#3a2718';
+      ctx.lineWidth = 2;
+      for (let i = 10; i < 60; i += 8) {
+        ctx.beginPath();
+        ctx.moveTo(22 + Math.random() * 4, i);
+        ctx.lineTo(42 - Math.random() * 4, i + 3);
+        ctx.stroke();
+      }
+      
+      // Tree canopy
+      ctx.fillStyle = '#2d5a27';
+      ctx.beginPath();
+      ctx.arc(32, 15, 20, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.fillStyle = '#3d7a37';
+      ctx.beginPath();
+      ctx.arc(28, 12, 12, 0, Math.PI * 2);
+      ctx.arc(36, 18, 10, 0, Math.PI * 2);
+      ctx.fill();
     }
     
-    // Tree canopy
-    ctx.fillStyle = '#2d5a27';
-    ctx.beginPath();
-    ctx.arc(32, 15, 20, 0, Math.PI * 2);
-    ctx.fill();
-    
-    ctx.fillStyle = '#3d7a37';
-    ctx.beginPath();
-    ctx.arc(28, 12, 12, 0, Math.PI * 2);
-    ctx.arc(36, 18, 10, 0, Math.PI * 2);
-    ctx.fill();
-    
     trunkTexture.update();
     
     trunkMat.diffuseTexture = trunkTexture;
@@ -575,7 +900,7 @@ export class GameEngine {
     return rockNode;
   }
 
-  createGrass(id, x, z, rotation) {
+  createGrass(id, x, z, rotation, variant) {
     const grassNode = new TransformNode(`grass_${id}`, this.scene);
     grassNode.position = new Vector3(x, 0, z);
     
@@ -597,11 +922,13 @@ export class GameEngine {
     ctx.strokeStyle = '#6b8e23';
     ctx.lineWidth = 2;
     
+    // Picked grass is cut down to short stubble
+    const [controlY, tipY] = variant === 'picked' ? [27, 24] : [15, 5];
     for (let i = 0; i < 5; i++) {
       const baseX = 8 + i * 4;
       ctx.beginPath();
       ctx.moveTo(baseX, 30);
-      ctx.quadraticCurveTo(baseX + Math.random() * 4 - 2, 15, baseX + Math.random() * 6 - 3, 5);
+      ctx.quadraticCurveTo(baseX + Math.random() * 4 - 2, controlY, baseX + Math.random() * 6 - 3, tipY);
       ctx.stroke();
     }
     
@@ -616,7 +943,7 @@ export class GameEngine {
     return grassNode;
   }
 
-  createBerryBush(id, x, z, rotation) {
+  createBerryBush(id, x, z, rotation, variant) {
     const bushNode = new TransformNode(`bush_${id}`, this.scene);
     bushNode.position = new Vector3(x, 0, z);
     
@@ -646,14 +973,16 @@ export class GameEngine {
     ctx.arc(30, 30, 8, 0, Math.PI * 2);
     ctx.fill();
     
-    // Berries
-    ctx.fillStyle = '#c41e3a';
-    const berryPositions = [[18, 22], [28, 25], [24, 32], [32, 28], [16, 30]];
-    berryPositions.forEach(([bx, by]) => {
-      ctx.beginPath();
-      ctx.arc(bx, by, 3, 0, Math.PI * 2);
-      ctx.fill();
-    });
+    // Berries, until they've been picked
+    if (variant !== 'picked') {
+      ctx.fillStyle = '#c41e3a';
+      const berryPositions = [[18, 22], [28, 25], [24, 32], [32, 28], [16, 30]];
+      berryPositions.forEach(([bx, by]) => {
+        ctx.beginPath();
+        ctx.arc(bx, by, 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
     
     bushTexture.update();
     
@@ -668,6 +997,163 @@ export class GameEngine {
     return bushNode;
   }
 
+  createDroppedItem(id, x, z, itemId) {
+    const itemNode = new TransformNode(`item_${id}`, this.scene);
+    itemNode.position = new Vector3(x, 0, z);
+    
+    const sprite = MeshBuilder.CreatePlane(`itemSprite_${id}`, {
+      width: 0.6,
+      height: 0.6
+    }, this.scene);
+    sprite.parent = itemNode;
+    sprite.position.y = 0.3;
+    sprite.billboardMode = Mesh.BILLBOARDMODE_Y;
+    
+    const itemMat = new StandardMaterial(`itemMat_${id}`, this.scene);
+    const itemTexture = new DynamicTexture(`itemTex_${id}`, 64, this.scene);
+    const ctx = itemTexture.getContext();
+    
+    ctx.clearRect(0, 0, 64, 64);
+    
+    // Draw the item's icon so drops match the inventory HUD
+    ctx.font = '44px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(ITEMS[itemId]?.icon ?? '❓', 32, 34);
+    
+    itemTexture.update();
+    
+    itemMat.diffuseTexture = itemTexture;
+    itemMat.diffuseTexture.hasAlpha = true;
+    itemMat.useAlphaFromDiffuseTexture = true;
+    itemMat.backFaceCulling = false;
+    itemMat.emissiveColor = new Color3(0.3, 0.3, 0.3);
+    sprite.material = itemMat;
+    
+    return itemNode;
+  }
+
+  createStructure(id, type, x, z) {
+    const sizes = {
+      campfire: { width: 1.2, height: 1.2 },
+      science_machine: { width: 1.8, height: 2.2 },
+      trap: { width: 0.9, height: 0.6 },
+      touchstone: { width: 1.6, height: 1.8 }
+    };
+    const size = sizes[type];
+    
+    const structureNode = new TransformNode(`structure_${id}`, this.scene);
+    structureNode.position = new Vector3(x, 0, z);
+    
+    const sprite = MeshBuilder.CreatePlane(`structureSprite_${id}`, size, this.scene);
+    sprite.parent = structureNode;
+    sprite.position.y = size.height / 2;
+    sprite.billboardMode = Mesh.BILLBOARDMODE_Y;
+    
+    const structureMat = new StandardMaterial(`structureMat_${id}`, this.scene);
+    const structureTexture = new DynamicTexture(`structureTex_${id}`, 64, this.scene);
+    const ctx = structureTexture.getContext();
+    
+    ctx.clearRect(0, 0, 64, 64);
+    
+    if (type === 'campfire') {
+      // Crossed logs
+      ctx.fillStyle = '#4a3728';
+      ctx.fillRect(10, 50, 44, 8);
+      ctx.fillRect(14, 44, 36, 6);
+      
+      // Flames
+      ctx.fillStyle = '#e67e22';
+      ctx.beginPath();
+      ctx.moveTo(16, 46);
+      ctx.quadraticCurveTo(32, -4, 48, 46);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.fillStyle = '#f1c40f';
+      ctx.beginPath();
+      ctx.moveTo(24, 46);
+      ctx.quadraticCurveTo(32, 14, 40, 46);
+      ctx.closePath();
+      ctx.fill();
+    } else if (type === 'science_machine') {
+      // Wooden frame
+      ctx.fillStyle = '#6b4f34';
+      ctx.fillRect(14, 20, 36, 40);
+      
+      // Brass dial and gears
+      ctx.fillStyle = '#c9a227';
+      ctx.beginPath();
+      ctx.arc(32, 16, 12, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.fillStyle = '#8a6d3b';
+      ctx.beginPath();
+      ctx.arc(24, 38, 6, 0, Math.PI * 2);
+      ctx.arc(40, 44, 5, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.strokeStyle = '#1a1a1a';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(32, 16);
+      ctx.lineTo(38, 10);
+      ctx.stroke();
+    } else if (type === 'touchstone') {
+      // Stone slab with a glowing heart
+      ctx.fillStyle = '#7f8c8d';
+      ctx.beginPath();
+      ctx.moveTo(12, 62);
+      ctx.lineTo(16, 14);
+      ctx.quadraticCurveTo(32, 2, 48, 14);
+      ctx.lineTo(52, 62);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.fillStyle = '#e74c3c';
+      ctx.beginPath();
+      ctx.moveTo(32, 44);
+      ctx.bezierCurveTo(18, 34, 22, 22, 32, 29);
+      ctx.bezierCurveTo(42, 22, 46, 34, 32, 44);
+      ctx.fill();
+    } else {
+      // Woven grass trap
+      ctx.fillStyle = '#a68a3d';
+      ctx.beginPath();
+      ctx.moveTo(8, 60);
+      ctx.lineTo(32, 14);
+      ctx.lineTo(56, 60);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.strokeStyle = '#6b5a26';
+      ctx.lineWidth = 2;
+      for (let i = 24; i < 60; i += 8) {
+        ctx.beginPath();
+        ctx.moveTo(32 - (i - 14) / 2, i);
+        ctx.lineTo(32 + (i - 14) / 2, i);
+        ctx.stroke();
+      }
+    }
+    
+    structureTexture.update();
+    
+    structureMat.diffuseTexture = structureTexture;
+    structureMat.diffuseTexture.hasAlpha = true;
+    structureMat.useAlphaFromDiffuseTexture = true;
+    structureMat.backFaceCulling = false;
+    if (type === 'campfire') {
+      structureMat.emissiveColor = new Color3(0.8, 0.5, 0.2);
+    } else if (type === 'touchstone') {
+      structureMat.emissiveColor = new Color3(0.4, 0.2, 0.2);
+    }
+    sprite.material = structureMat;
+    
+    this.shadowGenerator.addShadowCaster(sprite);
+    
+    return structureNode;
+  }
+
   createGenericObject(id, x, z) {
     const obj = MeshBuilder.CreateBox(`obj_${id}`, { size: 1 }, this.scene);
     obj.position = new Vector3(x, 0.5, z);
@@ -744,3 +1230,62 @@ export class GameEngine {
     });
   }
 }
+
+function floatAnimation(name, property, fps, keys) {
+  const animation = new Animation(
+    name,
+    property,
+    fps,
+    Animation.ANIMATIONTYPE_FLOAT,
+    Animation.ANIMATIONLOOPMODE_CYCLE
+  );
+  animation.setKeys(keys);
+  return animation;
+}
+
+// Split `text` into lines no wider than `maxWidth`, ending with … if it needs
+// more than `maxLines`. Words longer than a line are broken up.
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  
+  for (const word of text.split(/\s+/)) {
+    let candidate = line ? `${line} ${word}` : word;
+    while (ctx.measureText(candidate).width > maxWidth) {
+      if (line) {
+        lines.push(line);
+        line = '';
+        candidate = word;
+        continue;
+      }
+      // A single word too long for a line
+      let cut = candidate.length - 1;
+      while (cut > 1 && ctx.measureText(candidate.slice(0, cut)).width > maxWidth) cut--;
+      lines.push(candidate.slice(0, cut));
+      candidate = candidate.slice(cut);
+    }
+    line = candidate;
+  }
+  if (line) lines.push(line);
+  
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    let last = lines[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+    lines[maxLines - 1] = `${last}…`;
+  }
+  return lines;
+}
+
+function traceRoundedRect(ctx, x, y, width, height, radius) {
+  ctx.moveTo(x + radius, y);
+  ctx.lineTo(x + width - radius, y);
+  ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+  ctx.lineTo(x + width, y + height - radius);
+  ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+  ctx.lineTo(x + radius, y + height);
+  ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+  ctx.lineTo(x, y + radius);
+  ctx.quadraticCurveTo(x, y, x + radius, y);
+  ctx.closePath();
+}
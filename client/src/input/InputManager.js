@@ -20,6 +20,9 @@ export class InputManager {
     this.onMove = null;
     this.onStop = null;
     this.onAction = null;
+    this.onToggleCrafting = null;
+    this.onToggleEmotes = null;
+    this.onOpenChat = null;
     
     this.setupListeners();
   }
@@ -35,6 +38,9 @@ export class InputManager {
   setupListeners() {
     // Keyboard down
     window.addEventListener('keydown', (e) => {
+      // Typing into a text field (e.g. the lobby) isn't movement
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+      
       if (this.handleKey(e.code, true)) {
         e.preventDefault();
       }
@@ -86,6 +92,27 @@ export class InputManager {
           this.keys.action = false;
         }
         break;
+      case 'KeyC':
+        if (isDown && this.onToggleCrafting) {
+          this.onToggleCrafting();
+        }
+        break;
+      case 'KeyE':
+        if (isDown && this.onToggleEmotes) {
+          this.onToggleEmotes();
+        }
+        break;
+      case 'Enter':
+        if (isDown && this.onOpenChat) {
+          this.onOpenChat('');
+        }
+        break;
+      case 'Slash':
+        // Start a command; handling the key keeps the '/' from being typed twice
+        if (isDown && this.onOpenChat) {
+          this.onOpenChat('/');
+        }
+        break;
       default:
         handled = false;
     }
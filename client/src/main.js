@@ -1,7 +1,21 @@
 import { GameEngine } from './engine/GameEngine.js';
 import { NetworkManager } from './network/NetworkManager.js';
+import { LobbyManager } from './network/LobbyManager.js';
+import { PredictionManager } from './network/PredictionManager.js';
+import { ServerClock, SnapshotBuffer } from './network/SnapshotBuffer.js';
 import { InputManager } from './input/InputManager.js';
 import { UIManager } from './ui/UIManager.js';
+import { LobbyScreen } from './ui/LobbyScreen.js';
+import { ChatPanel } from './ui/ChatPanel.js';
+import { EmoteWheel } from './ui/EmoteWheel.js';
+import { ITEMS, RECIPES, DEATH_CONFIG, GAME_MODES, STEP_DT, CLOSE_CODES } from '@dont-starve-clone/shared';
+
+const CRAFT_FAILURE_MESSAGES = {
+  unknown_recipe: 'Unknown recipe',
+  locked: 'Prototype this at a tech station first',
+  missing_station: 'You need to be near the right station',
+  missing_ingredients: 'Not enough ingredients'
+};
 
 class Game {
   constructor() {
@@ -9,9 +23,21 @@ class Game {
     this.network = null;
     this.input = null;
     this.ui = null;
+    this.chat = null;
+    this.emoteWheel = null;
     this.localPlayerId = null;
     this.players = new Map();
     this.worldObjects = new Map();
+    this.gameMode = GAME_MODES.SURVIVAL;
+    
+    // Local player prediction, stepped at the server's fixed rate
+    this.prediction = new PredictionManager();
+    this.moveInput = null;
+    this.wasMoving = false;
+    this.stepAccumulator = 0;
+    
+    // Remote players are interpolated between timestamped server snapshots
+    this.serverClock = new ServerClock();
   }
 
   async init(updateStatus) {
@@ -28,6 +54,19 @@ class Game {
     
     // Initialize UI manager
     this.ui = new UIManager();
+    this.ui.onSlotClick = (index, slot) => this.handleSlotClick(index, slot);
+    this.ui.onSlotDrop = (index) => this.network.sendInventoryDrop(index);
+    this.ui.onSlotMove = (from, to) => this.network.sendInventoryMove(from, to);
+    this.ui.onEquipSlotClick = (name, slot) => {
+      if (slot.count > 0) this.network.sendUnequip(name);
+    };
+    this.ui.onCraft = (recipeId) => this.network.sendCraft(recipeId);
+    
+    this.chat = new ChatPanel();
+    this.chat.onSend = (channel, text) => this.network.sendChat(channel, text);
+    
+    this.emoteWheel = new EmoteWheel();
+    this.emoteWheel.onEmote = (emote) => this.network.sendEmote(emote);
     
     // Initialize game engine (Babylon.js)
     this.engine = new GameEngine(canvas);
@@ -40,26 +79,51 @@ class Game {
     this.input.onMove = (dirX, dirZ) => this.handleMove(dirX, dirZ);
     this.input.onStop = () => this.handleStop();
     this.input.onAction = () => this.handleAction();
+    this.input.onToggleCrafting = () => this.ui.toggleCraftingPanel();
+    this.input.onToggleEmotes = () => this.emoteWheel.toggle();
+    this.input.onOpenChat = (prefill) => {
+      // Stop walking while typing
+      this.input.resetKeys();
+      this.chat.open(prefill);
+    };
     
     updateStatus('Connecting to server...');
     
     // Initialize network manager (Colyseus)
     this.network = new NetworkManager();
     this.network.onConnect = (playerId) => this.handleConnect(playerId);
-    this.network.onDisconnect = () => this.handleDisconnect();
+    this.network.onDisconnect = (code, reason) => this.handleDisconnect(code, reason);
+    this.network.onReconnecting = (attempt) => this.handleReconnecting(attempt);
+    this.network.onReconnect = () => this.handleReconnect();
     this.network.onPlayerJoin = (id, player) => this.handlePlayerJoin(id, player);
     this.network.onPlayerLeave = (id) => this.handlePlayerLeave(id);
     this.network.onPlayerUpdate = (id, changes) => this.handlePlayerUpdate(id, changes);
     this.network.onWorldObjectAdd = (id, obj) => this.handleWorldObjectAdd(id, obj);
+    this.network.onWorldObjectChange = (id, changes) => this.handleWorldObjectChange(id, changes);
+    this.network.onWorldObjectRemove = (id) => this.handleWorldObjectRemove(id);
+    this.network.onChunkAdd = (key, chunk) => this.handleChunkAdd(key, chunk);
+    this.network.onChunkRemove = (key) => this.handleChunkRemove(key);
     this.network.onStateChange = (state) => this.handleStateChange(state);
+    this.network.onGather = (result) => this.handleGather(result);
+    this.network.onCraftResult = (result) => this.handleCraftResult(result);
+    this.network.onPlayerDied = (data) => this.handlePlayerDied(data);
+    this.network.onPlayerRevived = (data) => this.handlePlayerRevived(data);
+    this.network.onWarning = (data) => this.handleWarning(data);
+    this.network.onServerMessage = (data) => this.handleServerMessage(data);
+    this.network.onChat = (message) => this.handleChat(message);
     
-    // Connect to server with timeout
+    // Connect to server with timeout; this resumes the tab's previous game if there is one
     const connectPromise = this.network.connect();
     const timeoutPromise = new Promise((_, reject) => 
       setTimeout(() => reject(new Error('Connection timeout (10s) - is the server running?')), 10000)
     );
     
-    await Promise.race([connectPromise, timeoutPromise]);
+    const resumed = await Promise.race([connectPromise, timeoutPromise]);
+    
+    if (!resumed) {
+      updateStatus('Choosing a world...');
+      await this.chooseRoom();
+    }
     
     updateStatus('Loading world...');
     
@@ -72,22 +136,88 @@ class Game {
     console.log('🎮 Game initialized successfully!');
   }
 
+  // Show the room browser until a room has been joined or created
+  async chooseRoom() {
+    const lobby = new LobbyManager(this.network.client);
+    const screen = new LobbyScreen();
+    lobby.onRoomsChange = (rooms) => screen.setRooms(rooms);
+    await lobby.join();
+    screen.show();
+    
+    await new Promise((resolve) => {
+      const enter = async (roomId, options) => {
+        screen.setBusy(true);
+        try {
+          await this.network.joinRoom(roomId, options);
+          lobby.leave();
+          screen.hide();
+          resolve();
+        } catch (error) {
+          // Wrong password, full room, bad code... stay in the lobby
+          screen.setError(error.message);
+          screen.setBusy(false);
+        }
+      };
+      
+      screen.onJoin = (roomId, options) => enter(roomId, options);
+      screen.onCreate = (options) => enter(null, options);
+    });
+  }
+
   handleConnect(playerId) {
     console.log('✅ Connected with ID:', playerId);
     this.localPlayerId = playerId;
     this.ui.setConnected(true);
+    this.ui.setRoomCode(this.network.room.roomId);
   }
 
-  handleDisconnect() {
+  handleDisconnect(code, reason) {
     console.log('❌ Disconnected from server');
     this.ui.setConnected(false);
+    
+    if (code === CLOSE_CODES.KICKED) {
+      this.ui.showNotification(`Disconnected: ${reason || 'kicked by the server'}`, 10000);
+    }
+  }
+
+  handleWarning() {
+    this.ui.showNotification('Slow down! The server is dropping your messages');
+  }
+
+  handleServerMessage(data) {
+    this.ui.showNotification(`📢 ${data.text}`, 8000);
+  }
+
+  handleChat(message) {
+    this.chat.addMessage(message);
+    
+    // Players we can see say it out loud too; command replies have no speaker
+    const speaker = this.players.get(message.from);
+    if (speaker) {
+      this.engine.showSpeechBubble(speaker.mesh, message.text);
+    }
+  }
+
+  handleReconnecting(attempt) {
+    console.log('🔄 Connection lost, reconnecting (attempt', attempt + ')');
+    this.ui.setReconnecting(attempt);
+  }
+
+  handleReconnect() {
+    console.log('✅ Reconnected');
+    // Inputs sent while we were away never reached the server
+    this.prediction.reset(this.prediction.x, this.prediction.z);
   }
 
   handlePlayerJoin(id, playerData) {
     console.log('👤 Player joined:', id);
     
     const isLocal = id === this.localPlayerId;
-    const playerMesh = this.engine.createPlayer(id, isLocal);
+    const playerMesh = this.engine.createPlayer(id, isLocal, playerData.isGhost, {
+      name: playerData.name,
+      color: playerData.color,
+      variant: playerData.variant
+    });
     
     // Set initial position
     playerMesh.position.x = playerData.x;
@@ -96,14 +226,16 @@ class Game {
     this.players.set(id, {
       mesh: playerMesh,
       data: playerData,
-      targetX: playerData.x,
-      targetZ: playerData.z,
+      snapshots: new SnapshotBuffer(),
+      renderedState: playerData.state,
       isLocal
     });
     
     // Update camera to follow local player
     if (isLocal) {
       this.engine.setCameraTarget(playerMesh);
+      this.prediction.reset(playerData.x, playerData.z, playerData.lastInputSeq);
+      this.prediction.isGhost = playerData.isGhost;
     }
     
     this.ui.setPlayerCount(this.players.size);
@@ -125,15 +257,30 @@ class Game {
     const player = this.players.get(id);
     if (!player) return;
     
-    // Update target position for interpolation
-    if (changes.x !== undefined) player.targetX = changes.x;
-    if (changes.z !== undefined) player.targetZ = changes.z;
+    // Only fields that changed in this patch are present
+    // Latest authoritative values; remote players are snapshotted from these in handleStateChange
+    if (changes.x !== undefined) player.data.x = changes.x;
+    if (changes.z !== undefined) player.data.z = changes.z;
+    if (changes.lastInputSeq !== undefined) player.data.lastInputSeq = changes.lastInputSeq;
+    if (changes.rotation !== undefined) player.data.rotation = changes.rotation;
     if (changes.state !== undefined) {
       player.data.state = changes.state;
-      this.engine.setPlayerState(player.mesh, changes.state);
+      // Remote state changes are applied when interpolation reaches them
+      if (player.isLocal && changes.state !== player.renderedState) {
+        player.renderedState = changes.state;
+        this.engine.setPlayerState(player.mesh, changes.state);
+      }
+    }
+    if (changes.isGhost !== undefined && changes.isGhost !== player.data.isGhost) {
+      player.data.isGhost = changes.isGhost;
+      this.engine.setPlayerGhost(player.mesh, changes.isGhost);
     }
-    if (changes.rotation !== undefined) {
-      player.data.rotation = changes.rotation;
+    
+    // Rewind to the authoritative position and replay inputs it hasn't seen yet
+    const moved = changes.x !== undefined || changes.z !== undefined || changes.lastInputSeq !== undefined;
+    if (player.isLocal && moved) {
+      this.prediction.isGhost = player.data.isGhost;
+      this.prediction.reconcile(player.data.x, player.data.z, player.data.lastInputSeq);
     }
     
     // Update local player stats
@@ -141,28 +288,137 @@ class Game {
       if (changes.health !== undefined) this.ui.setHealth(changes.health);
       if (changes.hunger !== undefined) this.ui.setHunger(changes.hunger);
       if (changes.sanity !== undefined) this.ui.setSanity(changes.sanity);
+      if (changes.inventory !== undefined) this.ui.setInventory(changes.inventory);
+      if (changes.equipment !== undefined) this.ui.setEquipment(changes.equipment);
+      if (changes.knownRecipes !== undefined) this.ui.setKnownRecipes(changes.knownRecipes);
     }
   }
 
   handleWorldObjectAdd(id, objData) {
-    const mesh = this.engine.createWorldObject(id, objData.type, objData.x, objData.z, objData.rotation);
+    const mesh = this.engine.createWorldObject(id, objData.type, objData.x, objData.z, objData.rotation, objData);
     this.worldObjects.set(id, { mesh, data: objData });
+    this.prediction.addObject(id, objData.type, objData.x, objData.z);
+  }
+
+  handleWorldObjectChange(id, changes) {
+    const obj = this.worldObjects.get(id);
+    if (!obj) return;
+    
+    Object.assign(obj.data, changes);
+    
+    // Anything that changes how the object looks gets new visuals
+    if (changes.type !== undefined || changes.variant !== undefined || changes.itemId !== undefined) {
+      obj.mesh = this.engine.updateWorldObject(id, obj.data);
+    } else if (changes.x !== undefined || changes.z !== undefined) {
+      obj.mesh.position.x = obj.data.x;
+      obj.mesh.position.z = obj.data.z;
+    }
+    
+    if (changes.type !== undefined || changes.x !== undefined || changes.z !== undefined) {
+      this.prediction.removeObject(id);
+      this.prediction.addObject(id, obj.data.type, obj.data.x, obj.data.z);
+    }
+  }
+
+  handleWorldObjectRemove(id) {
+    this.engine.removeWorldObject(id);
+    this.prediction.removeObject(id);
+    this.worldObjects.delete(id);
+  }
+
+  handleChunkAdd(key, chunk) {
+    this.engine.createChunkGround(key, chunk.cx, chunk.cz, chunk.ground);
+  }
+
+  handleChunkRemove(key) {
+    this.engine.removeChunkGround(key);
   }
 
   handleStateChange(state) {
+    this.gameMode = state.gameMode;
+    this.prediction.setWorldSize(state.worldWidth, state.worldHeight);
+    
+    // Every patch is a snapshot of where remote players were at serverTime
+    this.serverClock.sync(state.serverTime);
+    this.players.forEach((player) => {
+      if (player.isLocal) return;
+      const { x, z, rotation, state: playerState } = player.data;
+      player.snapshots.push(state.serverTime, x, z, rotation, playerState);
+    });
     this.ui.setDayPhase(state.dayPhase);
     this.engine.setDayPhase(state.dayPhase);
   }
 
+  handleGather(result) {
+    this.engine.playGatherEffect(result.objectId, result.verb, result.x, result.z);
+    
+    if (result.playerId === this.localPlayerId && result.loot.length > 0) {
+      const lootText = result.loot
+        .map(({ item, count }) => `+${count} ${ITEMS[item]?.name ?? item}`)
+        .join(', ');
+      this.ui.showNotification(lootText, 2000);
+    }
+  }
+
+  handlePlayerDied({ playerId, cause }) {
+    if (playerId !== this.localPlayerId) return;
+    
+    const causeText = cause === 'starvation' ? 'You starved' : 'You died';
+    const respawnDelay = this.gameMode === GAME_MODES.SURVIVAL_LITE ? DEATH_CONFIG.RESPAWN_DELAY : null;
+    this.ui.showDeathScreen(causeText, respawnDelay);
+  }
+
+  handlePlayerRevived({ playerId }) {
+    if (playerId !== this.localPlayerId) return;
+    
+    this.ui.hideDeathScreen();
+    this.ui.showNotification('❤️ You have been revived!', 2000);
+  }
+
+  handleCraftResult(result) {
+    if (result.success) {
+      this.ui.showNotification(`Crafted ${RECIPES[result.recipeId].name}`, 2000);
+    } else {
+      this.ui.showNotification(CRAFT_FAILURE_MESSAGES[result.reason] ?? 'Cannot craft that', 2000);
+    }
+  }
+
+  handleSlotClick(index, slot) {
+    if (!this.network.isConnected() || slot.count === 0) return;
+    
+    const item = ITEMS[slot.itemId];
+    if (item?.revives) {
+      this.network.sendRevive(index);
+    } else if (item?.food) {
+      this.network.sendEat(index);
+    } else if (item?.equipSlot) {
+      this.network.sendEquip(index);
+    }
+  }
+
   handleMove(dirX, dirZ) {
-    if (!this.network.isConnected()) return;
-    // Input already transformed by InputManager based on camera angle
-    this.network.sendMove(dirX, dirZ);
+    // Input already transformed by InputManager based on camera angle.
+    // It is sampled and sent every fixed step in stepInput().
+    this.moveInput = { dirX, dirZ };
   }
 
   handleStop() {
+    this.moveInput = null;
+  }
+
+  // One fixed step of local input: predict it and send it to the server
+  stepInput() {
     if (!this.network.isConnected()) return;
-    this.network.sendStop();
+    
+    if (this.moveInput) {
+      const input = this.prediction.applyInput(this.moveInput.dirX, this.moveInput.dirZ);
+      this.network.sendMove(input);
+      this.wasMoving = true;
+    } else if (this.wasMoving) {
+      const input = this.prediction.applyInput(0, 0);
+      this.network.sendStop(input.seq);
+      this.wasMoving = false;
+    }
   }
 
   handleAction() {
@@ -172,6 +428,7 @@ class Game {
     // Instant local feedback for action
     const localPlayer = this.players.get(this.localPlayerId);
     if (localPlayer) {
+      localPlayer.renderedState = 'action';
       this.engine.setPlayerState(localPlayer.mesh, 'action');
     }
   }
@@ -183,13 +440,37 @@ class Game {
       this.input.setCameraDirections(dirs.forwardX, dirs.forwardZ, dirs.rightX, dirs.rightZ);
     }
     
-    // Interpolate player positions for smooth movement
-    const interpolationSpeed = 0.15;
+    // Run input at the same fixed rate as the server simulation.
+    // Capped so a backgrounded tab doesn't send a burst of inputs when it returns.
+    this.stepAccumulator = Math.min(this.stepAccumulator + deltaTime, STEP_DT * 10);
+    while (this.stepAccumulator >= STEP_DT) {
+      this.stepInput();
+      this.stepAccumulator -= STEP_DT;
+    }
+    
+    const renderTime = this.serverClock.getRenderTime();
     
     this.players.forEach((player) => {
-      // Smooth position interpolation
-      player.mesh.position.x += (player.targetX - player.mesh.position.x) * interpolationSpeed;
-      player.mesh.position.z += (player.targetZ - player.mesh.position.z) * interpolationSpeed;
+      // The local player is drawn where prediction puts it
+      if (player.isLocal) {
+        player.mesh.position.x = this.prediction.x;
+        player.mesh.position.z = this.prediction.z;
+        return;
+      }
+      
+      // Everyone else is drawn slightly in the past, between two known snapshots
+      const sample = player.snapshots.sample(renderTime);
+      if (!sample) return;
+      
+      player.mesh.position.x = sample.x;
+      player.mesh.position.z = sample.z;
+      // Sprites are billboards, so facing is kept for effects rather than applied to the mesh
+      player.renderedRotation = sample.rotation;
+      
+      if (sample.state !== player.renderedState) {
+        player.renderedState = sample.state;
+        this.engine.setPlayerState(player.mesh, sample.state);
+      }
     });
   }
 }
@@ -0,0 +1,49 @@
+// Keeps a live list of game rooms from the server's lobby room, for the room browser.
+// Each listing is { roomId, clients, maxClients, metadata }, where metadata is
+// { roomName, map, seed, gameMode, hasPassword } as set by GameRoom.
+export class LobbyManager {
+  constructor(client) {
+    this.client = client;
+    this.room = null;
+    this.rooms = new Map();
+
+    // Callbacks
+    this.onRoomsChange = null;
+  }
+
+  async join() {
+    this.room = await this.client.joinOrCreate('lobby', { filter: { name: 'game' } });
+
+    // The full list on join, then one message per room that appears, changes or goes away
+    this.room.onMessage('rooms', (rooms) => {
+      this.rooms.clear();
+      for (const room of rooms) {
+        this.rooms.set(room.roomId, room);
+      }
+      this.emitChange();
+    });
+
+    this.room.onMessage('+', ([roomId, room]) => {
+      this.rooms.set(roomId, room);
+      this.emitChange();
+    });
+
+    this.room.onMessage('-', (roomId) => {
+      this.rooms.delete(roomId);
+      this.emitChange();
+    });
+  }
+
+  leave() {
+    if (this.room) {
+      this.room.leave();
+      this.room = null;
+    }
+  }
+
+  emitChange() {
+    if (this.onRoomsChange) {
+      this.onRoomsChange([...this.rooms.values()]);
+    }
+  }
+}
@@ -1,23 +1,67 @@
-import { Client } from 'colyseus.js';
+import { Client, getStateCallbacks } from 'colyseus.js';
+import { MESSAGE_TYPES, CLOSE_CODES } from '@dont-starve-clone/shared';
+
+// Kept per tab so a reload (or a dropped connection) gets the same player back
+const RECONNECTION_TOKEN_KEY = 'reconnectionToken';
+
+// Kept per browser so saved worlds recognise this player in later sessions
+const IDENTITY_TOKEN_KEY = 'identityToken';
+
+// Retry delays in ms; the last one repeats until the server's grace period is over
+const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000];
+const RECONNECT_TIMEOUT = 30000;
+
+// Synced fields forwarded to the game when they change
+const PLAYER_FIELDS = [
+  'name', 'color', 'variant', 'x', 'y', 'z', 'rotation', 'state', 'health', 'hunger', 'sanity', 'isGhost', 'connected', 'lastInputSeq'
+];
+const WORLD_OBJECT_FIELDS = [
+  'type', 'x', 'y', 'z', 'rotation', 'variant', 'hitsLeft', 'itemId', 'itemCount', 'interactable'
+];
 
 export class NetworkManager {
   constructor() {
     this.client = null;
     this.room = null;
     this.connected = false;
+    this.reconnecting = false;
+    this.reconnectionToken = null;
+    // Everything the game has been told about, kept across reconnects
     this.trackedPlayers = new Set();
     this.trackedObjects = new Set();
+    this.trackedChunks = new Set();
+    // Changes received during the current patch, keyed by entity id
+    this.pendingPlayerChanges = new Map();
+    this.pendingObjectChanges = new Map();
+    // Entities added by the patch being decoded; their field callbacks are redundant
+    this.addedThisPatch = new Set();
+    this.resyncing = false;
     
     // Callbacks
     this.onConnect = null;
     this.onDisconnect = null;
+    this.onReconnecting = null;
+    this.onReconnect = null;
     this.onPlayerJoin = null;
     this.onPlayerLeave = null;
     this.onPlayerUpdate = null;
     this.onWorldObjectAdd = null;
+    this.onWorldObjectChange = null;
+    this.onWorldObjectRemove = null;
+    this.onChunkAdd = null;
+    this.onChunkRemove = null;
     this.onStateChange = null;
+    this.onGather = null;
+    this.onCraftResult = null;
+    this.onPlayerDied = null;
+    this.onPlayerRevived = null;
+    this.onWarning = null;
+    this.onServerMessage = null;
+    this.onChat = null;
   }
 
+  // Set up the client and resume this tab's previous game if the server still
+  // holds our seat. Returns false if a room has to be picked with joinRoom().
   async connect() {
     // Determine WebSocket URL based on how the page was accessed
     const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
@@ -41,55 +85,201 @@ export class NetworkManager {
     console.log('   User Agent:', navigator.userAgent);
     
     this.client = new Client(wsUrl);
+    await this.loadIdentity();
+    
+    // Pick up where we left off if this tab was already in a game
+    const token = sessionStorage.getItem(RECONNECTION_TOKEN_KEY);
+    const room = token ? await this.tryReconnect(token) : null;
     
+    if (!room) {
+      sessionStorage.removeItem(RECONNECTION_TOKEN_KEY);
+      return false;
+    }
+    
+    console.log('✅ Rejoined room:', room.roomId);
+    this.attachRoom(room);
+    return true;
+  }
+
+  // Swap the stored identity token for a checked (or new) one and send it as
+  // the auth token when joining rooms. Without one we play as a guest.
+  async loadIdentity() {
     try {
-      console.log('📡 Attempting to join room...');
-      
-      // Join or create the game room
-      this.room = await this.client.joinOrCreate('game', {
-        name: `Player_${Math.random().toString(36).slice(2, 6)}`
+      const response = await this.client.http.post('/identity', {
+        body: { token: localStorage.getItem(IDENTITY_TOKEN_KEY) }
       });
+      localStorage.setItem(IDENTITY_TOKEN_KEY, response.data.token);
+      this.client.auth.token = response.data.token;
+    } catch (error) {
+      console.warn('⚠️ No player identity, progress in saved worlds won\'t be kept:', error.message);
+    }
+  }
+
+  // Join a game room by id (its room code), or create one when `roomId` is null.
+  // `options` are the room's join/create options, see GameRoom.
+  async joinRoom(roomId, options) {
+    try {
+      console.log('📡 Attempting to join room...');
+      const room = roomId
+        ? await this.client.joinById(roomId, options)
+        : await this.client.create('game', options);
       
-      console.log('✅ Joined room:', this.room.id);
-      console.log('   Session ID:', this.room.sessionId);
-      this.connected = true;
-      
-      // Notify connection
-      if (this.onConnect) {
-        this.onConnect(this.room.sessionId);
-      }
-      
-      // Setup state listeners
-      this.setupStateListeners();
+      console.log('✅ Joined room:', room.roomId);
+      console.log('   Session ID:', room.sessionId);
+      this.attachRoom(room);
       
       return this.room;
       
     } catch (error) {
-      console.error('❌ Failed to connect:', error);
-      console.error('   Error name:', error.name);
+      console.error('❌ Failed to join room:', error);
       console.error('   Error message:', error.message);
-      console.error('   Attempted URL:', wsUrl);
       this.connected = false;
       throw error;
     }
   }
 
+  attachRoom(room) {
+    this.room = room;
+    this.connected = true;
+    this.resyncing = this.trackedPlayers.size > 0 || this.trackedObjects.size > 0 || this.trackedChunks.size > 0;
+    this.pendingPlayerChanges.clear();
+    this.pendingObjectChanges.clear();
+    this.addedThisPatch.clear();
+    this.reconnectionToken = room.reconnectionToken;
+    sessionStorage.setItem(RECONNECTION_TOKEN_KEY, room.reconnectionToken);
+    
+    // Notify connection
+    if (this.onConnect) {
+      this.onConnect(room.sessionId);
+    }
+    
+    // Setup state listeners
+    this.setupStateListeners();
+  }
+
+  // Returns the room, or null if the server no longer holds our seat
+  async tryReconnect(token) {
+    try {
+      console.log('🔄 Reconnecting to previous session...');
+      return await this.client.reconnect(token);
+    } catch (error) {
+      console.log('   Reconnect failed:', error.message);
+      return null;
+    }
+  }
+
+  // Retry with backoff until the server gives up on us
+  async reconnect() {
+    this.reconnecting = true;
+    const token = this.reconnectionToken;
+    const startedAt = Date.now();
+    let attempt = 0;
+    
+    while (Date.now() - startedAt < RECONNECT_TIMEOUT) {
+      const delay = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+      attempt++;
+      
+      if (this.onReconnecting) {
+        this.onReconnecting(attempt);
+      }
+      
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      
+      const room = await this.tryReconnect(token);
+      if (room) {
+        console.log('✅ Reconnected to room:', room.roomId);
+        this.reconnecting = false;
+        this.attachRoom(room);
+        
+        if (this.onReconnect) {
+          this.onReconnect();
+        }
+        return;
+      }
+    }
+    
+    console.log('❌ Could not reconnect');
+    this.reconnecting = false;
+    sessionStorage.removeItem(RECONNECTION_TOKEN_KEY);
+    
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+
   setupStateListeners() {
     console.log('📡 Setting up state listeners...');
     
-    // Use onStateChange to track all state changes
-    // This works reliably in Colyseus 0.16
+    this.listenToState();
+    
+    // Schema callbacks fire while a patch is decoded; hand the collected changes
+    // to the game once it has been fully applied
     this.room.onStateChange((state) => {
-      this.processState(state);
+      this.flushChanges(state);
+    });
+    
+    // Gather results are broadcast so everyone sees the feedback
+    this.room.onMessage(MESSAGE_TYPES.GATHER, (result) => {
+      if (this.onGather) {
+        this.onGather(result);
+      }
+    });
+    
+    this.room.onMessage(MESSAGE_TYPES.CRAFT_RESULT, (result) => {
+      if (this.onCraftResult) {
+        this.onCraftResult(result);
+      }
+    });
+    
+    this.room.onMessage(MESSAGE_TYPES.PLAYER_DIED, (data) => {
+      if (this.onPlayerDied) {
+        this.onPlayerDied(data);
+      }
+    });
+    
+    this.room.onMessage(MESSAGE_TYPES.PLAYER_REVIVED, (data) => {
+      if (this.onPlayerRevived) {
+        this.onPlayerRevived(data);
+      }
+    });
+    
+    // The server is dropping our messages and will kick us if it keeps happening
+    this.room.onMessage(MESSAGE_TYPES.WARNING, (data) => {
+      console.warn('⚠️ Server warning:', data.reason);
+      if (this.onWarning) {
+        this.onWarning(data);
+      }
+    });
+    
+    // Announcements from the server's admins
+    this.room.onMessage(MESSAGE_TYPES.SERVER_MESSAGE, (data) => {
+      if (this.onServerMessage) {
+        this.onServerMessage(data);
+      }
+    });
+    
+    // Chat lines from other players, and the server's replies to slash commands
+    this.room.onMessage(MESSAGE_TYPES.CHAT, (message) => {
+      if (this.onChat) {
+        this.onChat(message);
+      }
     });
     
-    // Handle disconnection
-    this.room.onLeave((code) => {
+    // Handle disconnection; a kick comes with the reason
+    this.room.onLeave((code, reason) => {
       console.log('🚪 Left room with code:', code);
       this.connected = false;
+      this.room = null;
       
+      // Anything but a leave we asked for or a kick is treated as a network drop
+      if (code !== CLOSE_CODES.CONSENTED && code !== CLOSE_CODES.KICKED) {
+        this.reconnect();
+        return;
+      }
+      
+      sessionStorage.removeItem(RECONNECTION_TOKEN_KEY);
       if (this.onDisconnect) {
-        this.onDisconnect();
+        this.onDisconnect(code, reason);
       }
     });
     
@@ -99,102 +289,309 @@ export class NetworkManager {
     });
   }
   
-  processState(state) {
-    // Process players - detect additions and removals
-    const currentPlayerIds = new Set();
+  // Register schema callbacks for every synced collection; called once per room
+  listenToState() {
+    const $ = getStateCallbacks(this.room);
+    const state = this.room.state;
     
-    // Iterate through players (state.players is a Map-like object)
-    state.players.forEach((player, sessionId) => {
-      currentPlayerIds.add(sessionId);
+    $(state).players.onAdd((player, sessionId) => {
+      this.addedThisPatch.add(player);
       
-      // Check if this is a new player
-      if (!this.trackedPlayers.has(sessionId)) {
+      // After a reconnect the game already knows this player; bring it up to date instead
+      if (this.trackedPlayers.has(sessionId)) {
+        this.queueChanges(this.pendingPlayerChanges, sessionId, this.serializePlayer(player));
+      } else {
         this.trackedPlayers.add(sessionId);
         console.log('👤 Player joined:', sessionId);
         
         if (this.onPlayerJoin) {
-          this.onPlayerJoin(sessionId, {
-            id: player.id,
-            name: player.name,
-            x: player.x,
-            y: player.y,
-            z: player.z,
-            rotation: player.rotation,
-            state: player.state,
-            health: player.health,
-            hunger: player.hunger,
-            sanity: player.sanity
-          });
+          this.onPlayerJoin(sessionId, this.serializePlayer(player));
         }
       }
       
-      // Always send updates for position, state, etc.
-      if (this.onPlayerUpdate) {
-        this.onPlayerUpdate(sessionId, {
-          x: player.x,
-          y: player.y,
-          z: player.z,
-          rotation: player.rotation,
-          state: player.state,
-          health: player.health,
-          hunger: player.hunger,
-          sanity: player.sanity
-        });
-      }
-    });
-    
-    // Detect removed players
-    for (const sessionId of this.trackedPlayers) {
-      if (!currentPlayerIds.has(sessionId)) {
-        this.trackedPlayers.delete(sessionId);
-        console.log('👋 Player left:', sessionId);
-        
-        if (this.onPlayerLeave) {
-          this.onPlayerLeave(sessionId);
-        }
-      }
-    }
+      // The join event already carried the current values, including the ones
+      // still being decoded from the patch that added this player
+      const queue = (changes) => {
+        if (this.addedThisPatch.has(player)) return;
+        this.queueChanges(this.pendingPlayerChanges, sessionId, changes);
+      };
+      
+      PLAYER_FIELDS.forEach((field) => {
+        $(player).listen(field, (value) => queue({ [field]: value }), false);
+      });
+      
+      // Owner-only collections; small enough to resend whole when anything inside changes
+      this.listenToCollection($, $(player).inventory, () => {
+        queue({ inventory: this.serializeSlots(player.inventory) });
+      });
+      this.listenToCollection($, $(player).equipment, () => {
+        queue({ equipment: this.serializeEquipment(player.equipment) });
+      });
+      this.listenToCollection($, $(player).knownRecipes, () => {
+        queue({ knownRecipes: [...player.knownRecipes] });
+      });
+    });
+    
+    $(state).players.onRemove((player, sessionId) => {
+      this.pendingPlayerChanges.delete(sessionId);
+      this.removePlayer(sessionId);
+    });
     
-    // Process world objects
-    state.worldObjects.forEach((obj, id) => {
-      if (!this.trackedObjects.has(id)) {
+    $(state).worldObjects.onAdd((obj, id) => {
+      this.addedThisPatch.add(obj);
+      
+      if (this.trackedObjects.has(id)) {
+        this.queueChanges(this.pendingObjectChanges, id, this.serializeWorldObject(obj));
+      } else {
         this.trackedObjects.add(id);
         
         if (this.onWorldObjectAdd) {
-          this.onWorldObjectAdd(id, {
-            id: obj.id,
-            type: obj.type,
-            x: obj.x,
-            y: obj.y,
-            z: obj.z,
-            rotation: obj.rotation
-          });
+          this.onWorldObjectAdd(id, this.serializeWorldObject(obj));
         }
       }
+      
+      WORLD_OBJECT_FIELDS.forEach((field) => {
+        $(obj).listen(field, (value) => {
+          if (this.addedThisPatch.has(obj)) return;
+          this.queueChanges(this.pendingObjectChanges, id, { [field]: value });
+        }, false);
+      });
+    });
+    
+    $(state).worldObjects.onRemove((obj, id) => {
+      this.pendingObjectChanges.delete(id);
+      this.removeWorldObject(id);
+    });
+    
+    // Chunks never change once loaded; they only come and go
+    $(state).chunks.onAdd((chunk, key) => {
+      if (this.trackedChunks.has(key)) return;
+      this.trackedChunks.add(key);
+      
+      if (this.onChunkAdd) {
+        this.onChunkAdd(key, { cx: chunk.cx, cz: chunk.cz, ground: [...chunk.ground] });
+      }
+    });
+    
+    $(state).chunks.onRemove((chunk, key) => {
+      this.removeChunk(key);
+    });
+  }
+
+  // Calls onChanged whenever an item is added, removed, replaced or modified in place
+  listenToCollection($, collection, onChanged) {
+    collection.onAdd((item) => {
+      if (typeof item === 'object') {
+        $(item).onChange(onChanged);
+      }
+      onChanged();
+    });
+    collection.onRemove(onChanged);
+    collection.onChange(onChanged);
+  }
+
+  // Field listeners fire once per changed field; collect them so each entity gets
+  // a single update per patch
+  queueChanges(pending, id, changes) {
+    const queued = pending.get(id);
+    if (queued) {
+      Object.assign(queued, changes);
+    } else {
+      pending.set(id, { ...changes });
+    }
+  }
+
+  // Called after every patch with only the entities that changed in it
+  flushChanges(state) {
+    // The first patch after a reconnect tells us what disappeared while we were away
+    if (this.resyncing) {
+      this.resyncing = false;
+      for (const sessionId of this.trackedPlayers) {
+        if (!state.players.has(sessionId)) this.removePlayer(sessionId);
+      }
+      for (const id of this.trackedObjects) {
+        if (!state.worldObjects.has(id)) this.removeWorldObject(id);
+      }
+      for (const key of this.trackedChunks) {
+        if (!state.chunks.has(key)) this.removeChunk(key);
+      }
+    }
+    
+    this.pendingPlayerChanges.forEach((changes, sessionId) => {
+      if (this.onPlayerUpdate) {
+        this.onPlayerUpdate(sessionId, changes);
+      }
     });
+    this.pendingPlayerChanges.clear();
+    
+    this.pendingObjectChanges.forEach((changes, id) => {
+      if (this.onWorldObjectChange) {
+        this.onWorldObjectChange(id, changes);
+      }
+    });
+    this.pendingObjectChanges.clear();
+    this.addedThisPatch.clear();
     
     // Notify state change for day/night cycle
     if (this.onStateChange) {
       this.onStateChange({
         worldTime: state.worldTime,
-        dayPhase: state.dayPhase
+        serverTime: state.serverTime,
+        dayPhase: state.dayPhase,
+        gameMode: state.gameMode,
+        worldWidth: state.worldWidth,
+        worldHeight: state.worldHeight
       });
     }
   }
 
-  sendMove(dirX, dirZ) {
+  removePlayer(sessionId) {
+    if (!this.trackedPlayers.delete(sessionId)) return;
+    console.log('👋 Player left:', sessionId);
+    
+    if (this.onPlayerLeave) {
+      this.onPlayerLeave(sessionId);
+    }
+  }
+
+  removeWorldObject(id) {
+    if (!this.trackedObjects.delete(id)) return;
+    
+    if (this.onWorldObjectRemove) {
+      this.onWorldObjectRemove(id);
+    }
+  }
+
+  removeChunk(key) {
+    if (!this.trackedChunks.delete(key)) return;
+    
+    if (this.onChunkRemove) {
+      this.onChunkRemove(key);
+    }
+  }
+
+  serializePlayer(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      color: player.color,
+      variant: player.variant,
+      x: player.x,
+      y: player.y,
+      z: player.z,
+      rotation: player.rotation,
+      state: player.state,
+      health: player.health,
+      hunger: player.hunger,
+      sanity: player.sanity,
+      isGhost: player.isGhost,
+      connected: player.connected,
+      // Only synced for our own player, for reconciliation
+      lastInputSeq: player.lastInputSeq,
+      // Inventory is only synced for our own player
+      inventory: player.inventory ? this.serializeSlots(player.inventory) : undefined,
+      equipment: player.equipment ? this.serializeEquipment(player.equipment) : undefined,
+      knownRecipes: player.knownRecipes ? [...player.knownRecipes] : undefined
+    };
+  }
+
+  serializeWorldObject(obj) {
+    return {
+      id: obj.id,
+      type: obj.type,
+      x: obj.x,
+      y: obj.y,
+      z: obj.z,
+      rotation: obj.rotation,
+      variant: obj.variant,
+      hitsLeft: obj.hitsLeft,
+      itemId: obj.itemId,
+      itemCount: obj.itemCount,
+      interactable: obj.interactable
+    };
+  }
+
+  serializeSlots(slots) {
+    return slots.map((slot) => ({ itemId: slot.itemId, count: slot.count }));
+  }
+
+  serializeEquipment(equipment) {
+    const result = {};
+    equipment.forEach((slot, name) => {
+      result[name] = { itemId: slot.itemId, count: slot.count };
+    });
+    return result;
+  }
+
+  // One fixed-step movement input: { seq, dirX, dirZ }
+  sendMove(input) {
     if (!this.room) return;
-    this.room.send('move', { dirX, dirZ });
+    this.room.send(MESSAGE_TYPES.MOVE, input);
   }
 
-  sendStop() {
+  sendStop(seq) {
     if (!this.room) return;
-    this.room.send('stop');
+    this.room.send(MESSAGE_TYPES.STOP, { seq });
   }
 
   sendAction() {
     if (!this.room) return;
-    this.room.send('action');
+    this.room.send(MESSAGE_TYPES.ACTION);
+  }
+
+  sendInventoryMove(from, to, count) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.INVENTORY_MOVE, { from, to, count });
+  }
+
+  sendInventorySplit(slot) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.INVENTORY_SPLIT, { slot });
+  }
+
+  sendInventorySwap(a, b) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.INVENTORY_SWAP, { a, b });
+  }
+
+  sendInventoryDrop(slot, count) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.INVENTORY_DROP, { slot, count });
+  }
+
+  sendEquip(slot) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.EQUIP, { slot });
+  }
+
+  sendUnequip(equipSlot) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.UNEQUIP, { equipSlot });
+  }
+
+  sendCraft(recipeId) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.CRAFT, { recipeId });
+  }
+
+  sendEat(slot) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.EAT, { slot });
+  }
+
+  sendRevive(slot) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.REVIVE, { slot });
+  }
+
+  sendChat(channel, text) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.CHAT, { channel, text });
+  }
+
+  sendEmote(emote) {
+    if (!this.room) return;
+    this.room.send(MESSAGE_TYPES.EMOTE, { emote });
   }
 
   isConnected() {
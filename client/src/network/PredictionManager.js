@@ -0,0 +1,78 @@
+import { WORLD_OBJECT_TYPES, SpatialHash, stepMovement } from '@dont-starve-clone/shared';
+
+// Runs the local player's movement ahead of the server. Every input is applied
+// immediately and kept until the server acknowledges it; when authoritative
+// state arrives we rewind to it and replay whatever is still unacknowledged.
+export class PredictionManager {
+  constructor() {
+    this.seq = 0;
+    this.pendingInputs = [];
+    this.x = 0;
+    this.z = 0;
+    this.isGhost = false;
+    this.worldWidth = 0;
+    this.worldHeight = 0;
+    this.staticColliders = new SpatialHash();
+  }
+
+  setWorldSize(width, height) {
+    this.worldWidth = width;
+    this.worldHeight = height;
+  }
+
+  addObject(id, type, x, z) {
+    const radius = WORLD_OBJECT_TYPES[type]?.collisionRadius;
+    if (!radius) return;
+    this.staticColliders.insert(id, { type: 'circle', x, z, radius });
+  }
+
+  removeObject(id) {
+    this.staticColliders.remove(id);
+  }
+
+  // Rewind to the server's position. Numbering carries on from the last input
+  // the server applied: after a reload we rejoin a player who already has one.
+  reset(x, z, lastInputSeq = this.seq) {
+    this.x = x;
+    this.z = z;
+    this.seq = lastInputSeq;
+    this.pendingInputs = [];
+  }
+
+  // Apply a movement input locally and return it for sending to the server
+  applyInput(dirX, dirZ) {
+    this.seq++;
+    const input = { seq: this.seq, dirX, dirZ };
+
+    this.step(input);
+    this.pendingInputs.push(input);
+    return input;
+  }
+
+  reconcile(serverX, serverZ, lastInputSeq) {
+    // Drop everything the server has already applied
+    while (this.pendingInputs.length > 0 && this.pendingInputs[0].seq <= lastInputSeq) {
+      this.pendingInputs.shift();
+    }
+
+    this.x = serverX;
+    this.z = serverZ;
+
+    for (const input of this.pendingInputs) {
+      this.step(input);
+    }
+  }
+
+  // The same step the server's MovementSystem runs, see shared/movement.js
+  step(input) {
+    // Other players aren't predicted; the server corrects us if we bump into one
+    const result = stepMovement(this, input, {
+      colliders: [this.staticColliders],
+      width: this.worldWidth,
+      height: this.worldHeight
+    });
+
+    this.x = result.x;
+    this.z = result.z;
+  }
+}
@@ -0,0 +1,98 @@
+import { GAME_CONFIG } from '@dont-starve-clone/shared';
+
+// Remote entities are drawn GAME_CONFIG.INTERPOLATION_DELAY behind the server clock
+// so there are (almost) always two snapshots to interpolate between.
+const MAX_EXTRAPOLATION = 250; // ms to keep moving after the last snapshot
+const MAX_SNAPSHOTS = 30;
+
+// Estimates the server clock from the timestamps in incoming state patches
+export class ServerClock {
+  constructor() {
+    this.offset = null;
+  }
+
+  sync(serverTime) {
+    const sample = serverTime - performance.now();
+
+    // Jump straight to the first sample (or after a large jump, e.g. a reloaded world),
+    // then smooth out network jitter
+    if (this.offset === null || Math.abs(sample - this.offset) > 1000) {
+      this.offset = sample;
+    } else {
+      this.offset += (sample - this.offset) * 0.05;
+    }
+  }
+
+  // The server time remote entities should currently be drawn at
+  getRenderTime() {
+    if (this.offset === null) return 0;
+    return performance.now() + this.offset - GAME_CONFIG.INTERPOLATION_DELAY;
+  }
+}
+
+// Timestamped positions for one entity, oldest first
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = [];
+  }
+
+  push(time, x, z, rotation, state) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && time <= last.time) return;
+
+    this.snapshots.push({ time, x, z, rotation, state });
+    if (this.snapshots.length > MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Interpolated { x, z, rotation, state } at renderTime, or null before the first snapshot
+  sample(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    // Snapshots older than the one just before renderTime are no longer needed
+    while (snapshots.length > 2 && snapshots[1].time <= renderTime) {
+      snapshots.shift();
+    }
+
+    const first = snapshots[0];
+    if (renderTime <= first.time || snapshots.length === 1) {
+      return { ...first };
+    }
+
+    const second = snapshots[1];
+    if (renderTime <= second.time) {
+      const t = (renderTime - first.time) / (second.time - first.time);
+      return {
+        x: lerp(first.x, second.x, t),
+        z: lerp(first.z, second.z, t),
+        rotation: lerpAngle(first.rotation, second.rotation, t),
+        // States switch when their snapshot is reached, not before
+        state: first.state
+      };
+    }
+
+    // Past the newest snapshot: keep going the same way for a moment, then hold
+    const elapsed = Math.min(renderTime - second.time, MAX_EXTRAPOLATION);
+    const t = elapsed / (second.time - first.time);
+    return {
+      x: second.x + (second.x - first.x) * t,
+      z: second.z + (second.z - first.z) * t,
+      rotation: second.rotation,
+      state: second.state
+    };
+  }
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Interpolate the short way around the circle
+function lerpAngle(a, b, t) {
+  let delta = (b - a) % (Math.PI * 2);
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  return a + delta * t;
+}
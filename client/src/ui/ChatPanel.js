@@ -0,0 +1,106 @@
+import { CHAT_CHANNELS, CHAT_CONFIG } from '@dont-starve-clone/shared';
+
+// Messages kept in the log; older ones are dropped
+const MAX_LOG_LINES = 50;
+
+const CHANNEL_LABELS = {
+  [CHAT_CHANNELS.GLOBAL]: 'All',
+  [CHAT_CHANNELS.PROXIMITY]: 'Nearby'
+};
+
+// The chat log and input box. Enter (or the 💬 button on touch screens) opens
+// the input, Enter sends, Escape closes; the channel button switches between
+// everyone and nearby players. Lines starting with / are commands, see /help.
+export class ChatPanel {
+  constructor() {
+    this.elements = {
+      panel: document.getElementById('chat-panel'),
+      log: document.getElementById('chat-log'),
+      form: document.getElementById('chat-form'),
+      channel: document.getElementById('chat-channel'),
+      input: document.getElementById('chat-input'),
+      toggle: document.getElementById('chat-toggle')
+    };
+
+    this.channel = CHAT_CHANNELS.GLOBAL;
+
+    // Callbacks
+    this.onSend = null;
+
+    this.elements.input.maxLength = CHAT_CONFIG.MAX_LENGTH;
+    this.updateChannelButton();
+
+    this.elements.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.send();
+    });
+
+    this.elements.input.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape') this.close();
+    });
+
+    this.elements.channel.addEventListener('click', () => {
+      this.channel = this.channel === CHAT_CHANNELS.GLOBAL ? CHAT_CHANNELS.PROXIMITY : CHAT_CHANNELS.GLOBAL;
+      this.updateChannelButton();
+      this.elements.input.focus();
+    });
+
+    this.elements.toggle.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+  }
+
+  isOpen() {
+    return this.elements.panel.classList.contains('open');
+  }
+
+  // `prefill` starts the line, e.g. '/' for a command
+  open(prefill = '') {
+    this.elements.panel.classList.add('open');
+    this.elements.input.value = prefill;
+    this.elements.input.focus();
+  }
+
+  close() {
+    this.elements.panel.classList.remove('open');
+    this.elements.input.value = '';
+    this.elements.input.blur();
+  }
+
+  send() {
+    const text = this.elements.input.value.trim();
+    if (text && this.onSend) {
+      this.onSend(this.channel, text);
+    }
+    this.close();
+  }
+
+  // `message` is { channel, name, text } from the server
+  addMessage({ channel, name, text }) {
+    const line = document.createElement('div');
+    line.className = `chat-line chat-${channel}`;
+
+    if (channel !== CHAT_CHANNELS.SYSTEM) {
+      const sender = document.createElement('span');
+      sender.className = 'chat-name';
+      sender.textContent = channel === CHAT_CHANNELS.PROXIMITY ? `(nearby) ${name}: ` : `${name}: `;
+      line.appendChild(sender);
+    }
+    line.appendChild(document.createTextNode(text));
+
+    const log = this.elements.log;
+    log.appendChild(line);
+    while (log.children.length > MAX_LOG_LINES) {
+      log.firstChild.remove();
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+
+  updateChannelButton() {
+    this.elements.channel.textContent = CHANNEL_LABELS[this.channel];
+  }
+}
@@ -0,0 +1,55 @@
+import { EMOTES } from '@dont-starve-clone/shared';
+
+// Distance from the wheel's centre to each option, in px
+const WHEEL_RADIUS = 75;
+
+// A ring of emote buttons in the middle of the screen. E (or the 😀 button on
+// touch screens) opens it; picking an emote or pressing Escape closes it.
+export class EmoteWheel {
+  constructor() {
+    this.elements = {
+      wheel: document.getElementById('emote-wheel'),
+      toggle: document.getElementById('emote-toggle')
+    };
+
+    // Callbacks
+    this.onEmote = null;
+
+    const ids = Object.keys(EMOTES);
+    ids.forEach((id, index) => {
+      // Clockwise from the top
+      const angle = (index / ids.length) * Math.PI * 2 - Math.PI / 2;
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'emote-option';
+      option.style.transform = `translate(${Math.cos(angle) * WHEEL_RADIUS}px, ${Math.sin(angle) * WHEEL_RADIUS}px)`;
+      option.innerHTML = `<span class="emote-icon">${EMOTES[id].icon}</span>${EMOTES[id].name}`;
+
+      option.addEventListener('click', () => {
+        this.close();
+        if (this.onEmote) {
+          this.onEmote(id);
+        }
+      });
+      this.elements.wheel.appendChild(option);
+    });
+
+    this.elements.toggle.addEventListener('click', () => this.toggle());
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return !this.elements.wheel.classList.contains('hidden');
+  }
+
+  toggle() {
+    this.elements.wheel.classList.toggle('hidden');
+  }
+
+  close() {
+    this.elements.wheel.classList.add('hidden');
+  }
+}
@@ -0,0 +1,203 @@
+import { GAME_MODES, MAP_PRESETS, DEFAULT_PRESET } from '@dont-starve-clone/shared';
+import { ProfilePanel } from './ProfilePanel.js';
+
+// Maps in shared/maps that can be picked when creating a room
+const MAP_CHOICES = [
+  { value: 'forest_clearing', label: 'Forest Clearing' },
+  { value: 'riverside', label: 'Riverside' },
+  { value: 'dark_forest', label: 'Dark Forest' },
+  { value: 'procedural', label: 'Random (procedural)' }
+];
+
+// Matches the server's check on world ids, which become save file names
+const WORLD_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+const GAME_MODE_LABELS = {
+  [GAME_MODES.SURVIVAL]: 'Survival',
+  [GAME_MODES.SURVIVAL_LITE]: 'Survival Lite'
+};
+
+// Room browser shown before joining a game: the player sets up their character,
+// then joins an open room, joins by room code, or creates a room with their own settings.
+export class LobbyScreen {
+  constructor() {
+    this.elements = {
+      lobby: document.getElementById('lobby'),
+      roomList: document.getElementById('room-list'),
+      code: document.getElementById('lobby-code'),
+      codePassword: document.getElementById('lobby-code-password'),
+      joinCode: document.getElementById('lobby-join-code'),
+      roomName: document.getElementById('lobby-room-name'),
+      map: document.getElementById('lobby-map'),
+      preset: document.getElementById('lobby-preset'),
+      seed: document.getElementById('lobby-seed'),
+      maxPlayers: document.getElementById('lobby-max-players'),
+      gameMode: document.getElementById('lobby-game-mode'),
+      password: document.getElementById('lobby-password'),
+      worldId: document.getElementById('lobby-world-id'),
+      create: document.getElementById('lobby-create'),
+      error: document.getElementById('lobby-error')
+    };
+
+    this.profile = new ProfilePanel();
+
+    // Callbacks
+    this.onJoin = null;
+    this.onCreate = null;
+
+    this.fillSelect(this.elements.map, MAP_CHOICES);
+    this.fillSelect(this.elements.preset, Object.keys(MAP_PRESETS).map((preset) => ({ value: preset, label: preset })));
+    this.elements.preset.value = DEFAULT_PRESET;
+    this.fillSelect(this.elements.gameMode, Object.values(GAME_MODES).map((mode) => ({ value: mode, label: GAME_MODE_LABELS[mode] })));
+
+    // Shared links can carry the room code, e.g. ?room=abc123
+    this.elements.code.value = new URLSearchParams(window.location.search).get('room') ?? '';
+
+    this.elements.map.addEventListener('change', () => this.updateProceduralFields());
+    this.updateProceduralFields();
+
+    this.elements.joinCode.addEventListener('click', () => {
+      const code = this.elements.code.value.trim();
+      if (!code) {
+        this.setError('Enter a room code');
+        return;
+      }
+      this.join(code, this.elements.codePassword.value);
+    });
+
+    this.elements.create.addEventListener('click', () => this.create());
+  }
+
+  show() {
+    this.elements.lobby.classList.remove('hidden');
+  }
+
+  hide() {
+    this.elements.lobby.classList.add('hidden');
+  }
+
+  setError(message) {
+    this.elements.error.textContent = message ?? '';
+  }
+
+  // Disable the buttons while a join is in flight
+  setBusy(busy) {
+    this.elements.lobby.querySelectorAll('button').forEach((button) => {
+      button.disabled = busy || button.dataset.full === 'true';
+    });
+  }
+
+  setRooms(rooms) {
+    const list = this.elements.roomList;
+    list.innerHTML = '';
+
+    if (rooms.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'room-empty';
+      empty.textContent = 'No rooms yet. Create one below!';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const room of rooms) {
+      const { roomName, map, gameMode, worldId, hasPassword } = room.metadata ?? {};
+      const full = room.clients >= room.maxClients;
+
+      const row = document.createElement('div');
+      row.className = 'room-row';
+
+      const info = document.createElement('div');
+      info.className = 'room-info';
+      const title = document.createElement('div');
+      title.className = 'room-title';
+      title.textContent = `${hasPassword ? '🔒 ' : ''}${roomName ?? room.roomId}`;
+      const details = document.createElement('div');
+      details.className = 'room-details';
+      details.textContent = `${map} • ${GAME_MODE_LABELS[gameMode] ?? gameMode}${worldId ? ` • 💾 ${worldId}` : ''} • code ${room.roomId}`;
+      info.append(title, details);
+
+      const count = document.createElement('div');
+      count.className = 'room-count';
+      count.textContent = `${room.clients}/${room.maxClients}`;
+
+      const button = document.createElement('button');
+      button.textContent = full ? 'Full' : 'Join';
+      button.disabled = full;
+      button.dataset.full = full;
+      button.addEventListener('click', () => {
+        const password = hasPassword ? window.prompt('Room password') : '';
+        if (password === null) return;
+        this.join(room.roomId, password);
+      });
+
+      row.append(info, count, button);
+      list.appendChild(row);
+    }
+  }
+
+  join(roomId, password) {
+    this.setError('');
+    const profile = this.profile.get();
+    if (!profile) return;
+
+    if (this.onJoin) {
+      this.onJoin(roomId, { ...profile, ...(password ? { password } : {}) });
+    }
+  }
+
+  create() {
+    this.setError('');
+    const profile = this.profile.get();
+    if (!profile) return;
+
+    const options = {
+      ...profile,
+      roomName: this.elements.roomName.value.trim(),
+      map: this.elements.map.value,
+      gameMode: this.elements.gameMode.value
+    };
+
+    const maxPlayers = parseInt(this.elements.maxPlayers.value, 10);
+    if (Number.isInteger(maxPlayers)) options.maxPlayers = maxPlayers;
+
+    if (options.map === 'procedural') {
+      options.preset = this.elements.preset.value;
+      // Numbers and words both make valid seeds
+      const seed = this.elements.seed.value.trim();
+      if (seed) options.seed = /^\d+$/.test(seed) ? Number(seed) : seed;
+    }
+
+    const password = this.elements.password.value;
+    if (password) options.password = password;
+
+    // Saved worlds are loaded back with the map they were made with
+    const worldId = this.elements.worldId.value.trim();
+    if (worldId) {
+      if (!WORLD_ID_PATTERN.test(worldId)) {
+        this.setError('Save names can only use letters, numbers, _ and -');
+        return;
+      }
+      options.worldId = worldId;
+    }
+
+    if (this.onCreate) {
+      this.onCreate(options);
+    }
+  }
+
+  // Preset and seed only apply to generated worlds
+  updateProceduralFields() {
+    const procedural = this.elements.map.value === 'procedural';
+    this.elements.preset.disabled = !procedural;
+    this.elements.seed.disabled = !procedural;
+  }
+
+  fillSelect(select, choices) {
+    for (const { value, label } of choices) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  }
+}
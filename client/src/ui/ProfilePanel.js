@@ -0,0 +1,102 @@
+import {
+  CHARACTER_COLORS,
+  CHARACTER_VARIANTS,
+  DEFAULT_COLOR,
+  DEFAULT_VARIANT,
+  PROFILE_CONFIG,
+  validateName
+} from '@dont-starve-clone/shared';
+import { drawCharacter } from '../engine/CharacterArt.js';
+
+// Saved per browser so returning players keep their character
+const PROFILE_STORAGE_KEY = 'profile';
+
+// The "Your Character" part of the lobby: name, colour and look, with a preview.
+// The server checks the profile again when joining.
+export class ProfilePanel {
+  constructor() {
+    this.elements = {
+      name: document.getElementById('profile-name'),
+      colors: document.getElementById('profile-colors'),
+      variant: document.getElementById('profile-variant'),
+      preview: document.getElementById('profile-preview'),
+      error: document.getElementById('profile-error')
+    };
+
+    this.profile = this.load();
+
+    this.elements.name.maxLength = PROFILE_CONFIG.NAME_MAX_LENGTH;
+    this.elements.name.value = this.profile.name;
+    this.elements.name.addEventListener('input', () => {
+      this.profile.name = this.elements.name.value;
+      this.validate();
+      this.save();
+    });
+
+    for (const color of CHARACTER_COLORS) {
+      const swatch = document.createElement('button');
+      swatch.className = 'color-swatch';
+      swatch.style.background = color;
+      swatch.dataset.color = color;
+      swatch.title = color;
+      swatch.addEventListener('click', () => {
+        this.profile.color = color;
+        this.update();
+      });
+      this.elements.colors.appendChild(swatch);
+    }
+
+    for (const [variant, { label }] of Object.entries(CHARACTER_VARIANTS)) {
+      const option = document.createElement('option');
+      option.value = variant;
+      option.textContent = label;
+      this.elements.variant.appendChild(option);
+    }
+    this.elements.variant.addEventListener('change', () => {
+      this.profile.variant = this.elements.variant.value;
+      this.update();
+    });
+
+    this.update();
+  }
+
+  // The profile to join with, or null (with the reason shown) if the name is unusable
+  get() {
+    if (!this.validate()) return null;
+    return { ...this.profile, name: validateName(this.profile.name).name };
+  }
+
+  validate() {
+    const { error } = validateName(this.profile.name);
+    this.elements.error.textContent = error ?? '';
+    return !error;
+  }
+
+  update() {
+    this.elements.colors.querySelectorAll('.color-swatch').forEach((swatch) => {
+      swatch.classList.toggle('selected', swatch.dataset.color === this.profile.color);
+    });
+    this.elements.variant.value = this.profile.variant;
+    drawCharacter(this.elements.preview.getContext('2d'), this.profile);
+    this.save();
+  }
+
+  load() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)) ?? {};
+    } catch (error) {
+      // Start over from a corrupt profile
+    }
+
+    return {
+      name: typeof saved.name === 'string' ? saved.name : `Player_${Math.random().toString(36).slice(2, 6)}`,
+      color: CHARACTER_COLORS.includes(saved.color) ? saved.color : DEFAULT_COLOR,
+      variant: Object.hasOwn(CHARACTER_VARIANTS, saved.variant) ? saved.variant : DEFAULT_VARIANT
+    };
+  }
+
+  save() {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(this.profile));
+  }
+}
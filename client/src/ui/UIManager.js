@@ -1,15 +1,47 @@
+import { ITEMS, EQUIP_SLOTS, RECIPES } from '@dont-starve-clone/shared';
+
+const EQUIP_SLOT_ICONS = {
+  hand: '✋',
+  body: '👕',
+  head: '🎩'
+};
+
 export class UIManager {
   constructor() {
     this.elements = {
       connectionStatus: document.getElementById('connection-status'),
       statusText: document.getElementById('status-text'),
       playerCount: document.getElementById('count'),
+      roomCode: document.getElementById('room-code'),
       dayIndicator: document.getElementById('day-indicator'),
       dayText: document.getElementById('day-text'),
       healthBar: document.getElementById('health-bar'),
       hungerBar: document.getElementById('hunger-bar'),
-      sanityBar: document.getElementById('sanity-bar')
+      sanityBar: document.getElementById('sanity-bar'),
+      inventoryBar: document.getElementById('inventory-bar'),
+      craftingToggle: document.getElementById('crafting-toggle'),
+      craftingPanel: document.getElementById('crafting-panel'),
+      deathScreen: document.getElementById('death-screen'),
+      deathTitle: document.getElementById('death-title'),
+      deathHint: document.getElementById('death-hint')
     };
+    
+    // Cached so the bar is only rebuilt when contents actually change
+    this.inventoryKey = '';
+    this.equipmentKey = '';
+    this.inventory = [];
+    this.equipment = {};
+    this.knownRecipes = [];
+    this.respawnTimer = null;
+    
+    // Callbacks
+    this.onSlotClick = null;
+    this.onSlotDrop = null;
+    this.onSlotMove = null;
+    this.onEquipSlotClick = null;
+    this.onCraft = null;
+    
+    this.elements.craftingToggle.addEventListener('click', () => this.toggleCraftingPanel());
   }
 
   setConnected(connected) {
@@ -20,12 +52,24 @@ export class UIManager {
       this.elements.connectionStatus.classList.remove('connected');
       this.elements.statusText.textContent = 'Disconnected';
     }
+    this.elements.connectionStatus.classList.remove('reconnecting');
+  }
+
+  setReconnecting(attempt) {
+    this.elements.connectionStatus.classList.remove('connected');
+    this.elements.connectionStatus.classList.add('reconnecting');
+    this.elements.statusText.textContent = `Reconnecting... (attempt ${attempt})`;
   }
 
   setPlayerCount(count) {
     this.elements.playerCount.textContent = count;
   }
 
+  // Others can join with this code from the lobby
+  setRoomCode(roomId) {
+    this.elements.roomCode.textContent = roomId;
+  }
+
   setDayPhase(phase) {
     const indicator = this.elements.dayIndicator;
     const text = this.elements.dayText;
@@ -61,6 +105,195 @@ export class UIManager {
     this.elements.sanityBar.style.width = `${value}%`;
   }
 
+  setInventory(slots) {
+    const key = JSON.stringify(slots);
+    if (key === this.inventoryKey) return;
+    
+    this.inventoryKey = key;
+    this.inventory = slots;
+    this.renderInventory();
+    this.renderCraftingPanel();
+  }
+
+  setEquipment(equipment) {
+    const key = JSON.stringify(equipment);
+    if (key === this.equipmentKey) return;
+    
+    this.equipmentKey = key;
+    this.equipment = equipment;
+    this.renderInventory();
+  }
+
+  setKnownRecipes(recipeIds) {
+    if (recipeIds.join(',') === this.knownRecipes.join(',')) return;
+    
+    this.knownRecipes = recipeIds;
+    this.renderCraftingPanel();
+  }
+
+  toggleCraftingPanel() {
+    this.elements.craftingPanel.classList.toggle('hidden');
+    this.renderCraftingPanel();
+  }
+
+  renderCraftingPanel() {
+    const panel = this.elements.craftingPanel;
+    if (panel.classList.contains('hidden')) return;
+    
+    panel.innerHTML = '';
+    
+    for (const [recipeId, recipe] of Object.entries(RECIPES)) {
+      const locked = recipe.unlock && !this.knownRecipes.includes(recipeId);
+      const affordable = recipe.ingredients.every(
+        ({ item, count }) => this.countItem(item) >= count
+      );
+      
+      const outputId = recipe.output.item;
+      const icon = outputId ? ITEMS[outputId]?.icon : '🏗️';
+      
+      // Stations can't be checked client-side, so they're shown as a hint instead
+      let requirement = '';
+      if (locked) requirement = ` 🔒 ${recipe.unlock.prototype.replace(/_/g, ' ')}`;
+      else if (recipe.station) requirement = ` 📍 ${recipe.station.replace(/_/g, ' ')}`;
+      
+      const recipeEl = document.createElement('div');
+      recipeEl.className = 'recipe';
+      if (!affordable) recipeEl.classList.add('unavailable');
+      
+      const nameEl = document.createElement('span');
+      nameEl.textContent = `${icon} ${recipe.name}${requirement}`;
+      
+      const costEl = document.createElement('span');
+      costEl.className = 'recipe-cost';
+      costEl.textContent = recipe.ingredients
+        .map(({ item, count }) => `${count}${ITEMS[item]?.icon ?? item}`)
+        .join(' ');
+      
+      recipeEl.appendChild(nameEl);
+      recipeEl.appendChild(costEl);
+      recipeEl.addEventListener('click', () => {
+        if (this.onCraft) this.onCraft(recipeId);
+      });
+      
+      panel.appendChild(recipeEl);
+    }
+  }
+
+  countItem(itemId) {
+    return this.inventory.reduce(
+      (total, slot) => (slot.itemId === itemId ? total + slot.count : total),
+      0
+    );
+  }
+
+  renderInventory() {
+    const bar = this.elements.inventoryBar;
+    bar.innerHTML = '';
+    
+    this.inventory.forEach((slot, index) => {
+      const slotEl = this.createSlotElement(slot, '');
+      slotEl.draggable = slot.count > 0;
+      
+      slotEl.addEventListener('click', () => {
+        if (this.onSlotClick) this.onSlotClick(index, slot);
+      });
+      
+      // Right click drops the whole stack
+      slotEl.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        if (this.onSlotDrop) this.onSlotDrop(index, slot);
+      });
+      
+      slotEl.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', String(index));
+      });
+      slotEl.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        slotEl.classList.add('drag-over');
+      });
+      slotEl.addEventListener('dragleave', () => {
+        slotEl.classList.remove('drag-over');
+      });
+      slotEl.addEventListener('drop', (e) => {
+        e.preventDefault();
+        slotEl.classList.remove('drag-over');
+        const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (this.onSlotMove && from !== index) this.onSlotMove(from, index);
+      });
+      
+      bar.appendChild(slotEl);
+    });
+    
+    const divider = document.createElement('div');
+    divider.className = 'inventory-divider';
+    bar.appendChild(divider);
+    
+    EQUIP_SLOTS.forEach((name) => {
+      const slot = this.equipment[name] || { itemId: '', count: 0 };
+      const slotEl = this.createSlotElement(slot, EQUIP_SLOT_ICONS[name]);
+      slotEl.classList.add('equip-slot');
+      
+      slotEl.addEventListener('click', () => {
+        if (this.onEquipSlotClick) this.onEquipSlotClick(name, slot);
+      });
+      
+      bar.appendChild(slotEl);
+    });
+  }
+
+  createSlotElement(slot, emptyIcon) {
+    const slotEl = document.createElement('div');
+    slotEl.className = 'inventory-slot';
+    
+    if (slot.count > 0) {
+      const item = ITEMS[slot.itemId];
+      slotEl.textContent = item ? item.icon : '❓';
+      slotEl.title = item ? item.name : slot.itemId;
+      
+      if (slot.count > 1) {
+        const countEl = document.createElement('span');
+        countEl.className = 'slot-count';
+        countEl.textContent = slot.count;
+        slotEl.appendChild(countEl);
+      }
+    } else {
+      slotEl.textContent = emptyIcon;
+      slotEl.style.opacity = emptyIcon ? '0.4' : '1';
+    }
+    
+    return slotEl;
+  }
+
+  // respawnDelay is null when the player has to wait for a revival
+  showDeathScreen(causeText, respawnDelay = null) {
+    this.elements.deathTitle.textContent = `💀 ${causeText}`;
+    this.elements.deathScreen.classList.remove('hidden');
+    
+    clearInterval(this.respawnTimer);
+    
+    if (respawnDelay === null) {
+      this.elements.deathHint.textContent = 'Haunt a touchstone or wait for a friend to revive you';
+      return;
+    }
+    
+    let remaining = respawnDelay;
+    const updateHint = () => {
+      this.elements.deathHint.textContent = `Respawning in ${remaining}s...`;
+    };
+    updateHint();
+    
+    this.respawnTimer = setInterval(() => {
+      remaining = Math.max(0, remaining - 1);
+      updateHint();
+    }, 1000);
+  }
+
+  hideDeathScreen() {
+    clearInterval(this.respawnTimer);
+    this.respawnTimer = null;
+    this.elements.deathScreen.classList.add('hidden');
+  }
+
   showNotification(message, duration = 3000) {
     const notification = document.createElement('div');
     notification.className = 'game-notification';
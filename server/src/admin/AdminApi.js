@@ -0,0 +1,270 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { matchMaker } from '@colyseus/core';
+import { MESSAGE_TYPES, WORLD_OBJECT_TYPES } from '@dont-starve-clone/shared';
+import { addBan, listBans, removeBan, matchesBan } from '../persistence/BanList.js';
+
+const MAX_BROADCAST_LENGTH = 200;
+const MAX_REASON_LENGTH = 100;
+
+// REST endpoints for running the server, mounted at /admin. Every request needs
+// `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN set the API is off.
+// Rooms are looked up in this process, so this assumes a single server process.
+export function createAdminApi(adminToken = process.env.ADMIN_TOKEN) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!adminToken) {
+      res.status(503).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+      return;
+    }
+    const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+    if (scheme !== 'Bearer' || !isAdminToken(token, adminToken)) {
+      res.status(401).json({ error: 'Invalid admin token' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/rooms', safely(async (req, res) => {
+    const listings = await matchMaker.query({ name: 'game' });
+    res.json(listings.map((listing) => ({
+      roomId: listing.roomId,
+      clients: listing.clients,
+      maxClients: listing.maxClients,
+      locked: listing.locked,
+      metadata: listing.metadata
+    })));
+  }));
+
+  router.get('/rooms/:roomId', withRoom((room, req, res) => {
+    const players = [];
+    room.state.players.forEach((player) => players.push(describePlayer(player)));
+
+    res.json({
+      roomId: room.roomId,
+      metadata: room.metadata,
+      clients: room.clients.length,
+      maxClients: room.maxClients,
+      worldId: room.persistenceSystem.worldId,
+      gameMode: room.state.gameMode,
+      worldTime: room.state.worldTime,
+      dayPhase: room.state.dayPhase,
+      worldObjects: room.state.worldObjects.size,
+      loadedChunks: room.state.chunks.size,
+      players
+    });
+  }));
+
+  // The whole synced state, including every player's inventory
+  router.get('/rooms/:roomId/state', withRoom((room, req, res) => {
+    res.json(room.state.toJSON());
+  }));
+
+  router.get('/rooms/:roomId/stats', withRoom((room, req, res) => {
+    res.json(room.messageSystem.getStats());
+  }));
+
+  router.post('/rooms/:roomId/players/:sessionId/kick', withRoom((room, req, res) => {
+    const reason = getReason(req.body, 'Kicked by an admin');
+    if (!room.kick(req.params.sessionId, reason)) {
+      res.status(404).json({ error: 'No such player' });
+      return;
+    }
+    res.json({ kicked: req.params.sessionId });
+  }));
+
+  // Bans the player's identity, and their IP address too with `{ byIp: true }`.
+  // Guests have no identity, so they can only be banned by IP.
+  router.post('/rooms/:roomId/players/:sessionId/ban', withRoom(async (room, req, res) => {
+    const player = room.state.players.get(req.params.sessionId);
+    if (!player) {
+      res.status(404).json({ error: 'No such player' });
+      return;
+    }
+
+    const byIp = req.body?.byIp === true;
+    if (!player.identity && !byIp) {
+      res.status(400).json({ error: 'Guests have no identity; ban them with { "byIp": true }' });
+      return;
+    }
+
+    const reason = getReason(req.body, '');
+    const ban = await addBan({
+      identity: player.identity,
+      ip: byIp ? player.ip : null,
+      name: player.name,
+      reason
+    });
+    console.log(`🔨 Banned "${player.name}"${reason ? `: ${reason}` : ''}`);
+
+    // Out of every room they are in, not just this one
+    const kicked = await forEachGameRoom((gameRoom) => {
+      const matching = [];
+      gameRoom.state.players.forEach((other) => {
+        if (matchesBan(ban, other)) matching.push(other.id);
+      });
+      return matching.filter((sessionId) => gameRoom.kick(sessionId, reason ? `Banned: ${reason}` : 'Banned'));
+    });
+
+    res.json({ ban, kicked: kicked.flat() });
+  }));
+
+  router.get('/bans', (req, res) => {
+    res.json(listBans());
+  });
+
+  router.delete('/bans/:banId', safely(async (req, res) => {
+    if (!(await removeBan(req.params.banId))) {
+      res.status(404).json({ error: 'No such ban' });
+      return;
+    }
+    res.json({ removed: req.params.banId });
+  }));
+
+  // `{ text }` to every game room, or `{ text, roomId }` to one
+  router.post('/broadcast', safely(async (req, res) => {
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    if (!text || text.length > MAX_BROADCAST_LENGTH) {
+      res.status(400).json({ error: `text must be 1 to ${MAX_BROADCAST_LENGTH} characters` });
+      return;
+    }
+
+    const roomIds = await forEachGameRoom((room) => {
+      if (req.body.roomId !== undefined && room.roomId !== req.body.roomId) return [];
+      room.broadcast(MESSAGE_TYPES.SERVER_MESSAGE, { text });
+      return [room.roomId];
+    });
+
+    res.json({ rooms: roomIds.flat() });
+  }));
+
+  // `{ worldTime }` in seconds, or `{ dayPhase }` to skip ahead to day, dusk or night
+  router.post('/rooms/:roomId/time', withRoom((room, req, res) => {
+    const { worldTime, dayPhase } = req.body ?? {};
+
+    if (dayPhase !== undefined) {
+      if (!room.setDayPhase(dayPhase)) {
+        res.status(400).json({ error: `Unknown dayPhase "${dayPhase}"` });
+        return;
+      }
+    } else if (Number.isFinite(worldTime) && worldTime >= 0) {
+      room.setWorldTime(worldTime);
+    } else {
+      res.status(400).json({ error: 'Send a worldTime (seconds, >= 0) or a dayPhase' });
+      return;
+    }
+
+    res.json({ worldTime: room.state.worldTime, dayPhase: room.state.dayPhase });
+  }));
+
+  // `{ type, x, z, rotation?, variant? }`, with type from shared/worldObjects.js
+  router.post('/rooms/:roomId/objects', withRoom((room, req, res) => {
+    const { type, x, z, rotation = 0, variant = '' } = req.body ?? {};
+
+    if (!Object.hasOwn(WORLD_OBJECT_TYPES, type)) {
+      res.status(400).json({ error: `Unknown object type "${type}"` });
+      return;
+    }
+    const halfWidth = room.map.width / 2;
+    const halfHeight = room.map.height / 2;
+    if (!Number.isFinite(x) || !Number.isFinite(z) || Math.abs(x) > halfWidth || Math.abs(z) > halfHeight) {
+      res.status(400).json({ error: 'x and z must be inside the world' });
+      return;
+    }
+    if (!Number.isFinite(rotation) || typeof variant !== 'string') {
+      res.status(400).json({ error: 'rotation must be a number and variant a string' });
+      return;
+    }
+
+    const obj = room.placeWorldObject(type, x, z, rotation, variant);
+    res.status(201).json(obj.toJSON());
+  }));
+
+  // Only objects in loaded chunks can be removed
+  router.delete('/rooms/:roomId/objects/:objectId', withRoom((room, req, res) => {
+    if (!room.state.worldObjects.has(req.params.objectId)) {
+      res.status(404).json({ error: 'No such object loaded' });
+      return;
+    }
+    room.removeWorldObject(req.params.objectId);
+    res.json({ removed: req.params.objectId });
+  }));
+
+  router.post('/rooms/:roomId/save', withRoom(async (room, req, res) => {
+    if (!room.persistenceSystem.worldId) {
+      res.status(409).json({ error: 'This room was not created with a worldId, so it is not saved' });
+      return;
+    }
+    if (!(await room.persistenceSystem.save())) {
+      res.status(500).json({ error: 'Save failed, see the server log' });
+      return;
+    }
+    res.json({ saved: room.persistenceSystem.worldId });
+  }));
+
+  return router;
+}
+
+// Also used by the chat's /login command. Compared as hashes so the check
+// takes the same time whatever the length.
+export function isAdminToken(token, adminToken = process.env.ADMIN_TOKEN) {
+  if (!adminToken || typeof token !== 'string' || !token) return false;
+
+  const hash = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(hash(token), hash(adminToken));
+}
+
+// Express 4 doesn't catch errors from async handlers
+function safely(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`⚠️ Admin request failed: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// Route handler for a game room running in this process; 404s otherwise
+function withRoom(handler) {
+  return safely(async (req, res) => {
+    const room = matchMaker.getLocalRoomById(req.params.roomId);
+    if (!room || room.roomName !== 'game') {
+      res.status(404).json({ error: 'No such room' });
+      return;
+    }
+    await handler(room, req, res);
+  });
+}
+
+// Calls fn(room) for every game room in this process and collects the results
+async function forEachGameRoom(fn) {
+  const listings = await matchMaker.query({ name: 'game' });
+  return listings
+    .map((listing) => matchMaker.getLocalRoomById(listing.roomId))
+    .filter(Boolean)
+    .map(fn);
+}
+
+function describePlayer(player) {
+  return {
+    sessionId: player.id,
+    name: player.name,
+    identity: player.identity,
+    ip: player.ip,
+    connected: player.connected,
+    isGhost: player.isGhost,
+    x: player.x,
+    z: player.z,
+    health: player.health,
+    hunger: player.hunger,
+    sanity: player.sanity
+  };
+}
+
+function getReason(body, fallback) {
+  const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+  return (reason || fallback).slice(0, MAX_REASON_LENGTH);
+}
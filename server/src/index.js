@@ -1,17 +1,24 @@
-import { Server } from '@colyseus/core';
+import { Server, LobbyRoom } from '@colyseus/core';
 import { WebSocketTransport } from '@colyseus/ws-transport';
+import { Encoder } from '@colyseus/schema';
 import express from 'express';
 import cors from 'cors';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { GameRoom } from './rooms/GameRoom.js';
+import { loadIdentitySecret, issueIdentity, verifyIdentity } from './persistence/Identity.js';
+import { loadBans } from './persistence/BanList.js';
+import { createAdminApi } from './admin/AdminApi.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
 
+// Loaded chunks hold a few hundred objects, more than the default 8 KB state buffer
+Encoder.BUFFER_SIZE = 64 * 1024;
+
 // Create Express app
 const app = express();
 app.use(cors());
@@ -26,6 +33,21 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: Date.now() });
 });
 
+// Player identity: send back the stored token if it is still good, otherwise a new one
+await loadIdentitySecret();
+app.post('/identity', (req, res) => {
+  const token = req.body?.token;
+  const playerId = verifyIdentity(token);
+  res.json(playerId ? { playerId, token } : issueIdentity());
+});
+
+// Room management for admins, see admin/AdminApi.js
+await loadBans();
+app.use('/admin', createAdminApi());
+if (!process.env.ADMIN_TOKEN) {
+  console.log('🔒 Admin API disabled (set ADMIN_TOKEN to enable it)');
+}
+
 // Create HTTP server
 const httpServer = createServer(app);
 
@@ -36,8 +58,9 @@ const gameServer = new Server({
   })
 });
 
-// Register game room
-gameServer.define('game', GameRoom);
+// The lobby streams the list of game rooms, with player counts, to the room browser
+gameServer.define('lobby', LobbyRoom);
+gameServer.define('game', GameRoom).enableRealtimeListing();
 
 // Start server on all interfaces
 const HOST = '0.0.0.0';
@@ -48,19 +71,14 @@ httpServer.listen(PORT, HOST, () => {
 ╠════════════════════════════════════════════════════╣
 ║  HTTP Server:  http://0.0.0.0:${PORT}                ║
 ║  WebSocket:    ws://0.0.0.0:${PORT}                  ║
-║  Room Type:    game                                ║
+║  Room Types:   game, lobby                         ║
 ║  Network:      Access via your local IP + port     ║
 ╚════════════════════════════════════════════════════╝
   `);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('Shutting down...');
-  gameServer.gracefullyShutdown();
-});
-
-process.on('SIGINT', () => {
+// Colyseus shuts down gracefully on SIGTERM/SIGINT by itself, waiting for
+// every room to dispose (and save its world) before the process exits
+gameServer.onBeforeShutdown(() => {
   console.log('Shutting down...');
-  gameServer.gracefullyShutdown();
 });
@@ -0,0 +1,282 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { WORLD_OBJECT_TYPES } from '@dont-starve-clone/shared';
+import { isTiledMap, importTiledMap, resolveTilesetPath } from './TiledImporter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MAPS_DIR = join(__dirname, '../../../shared/maps');
+export const MAP_FORMAT_VERSION = 1;
+
+// Map names come from room options, so keep them to plain file names
+const MAP_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+const COLLISION_SHAPES = ['circle', 'rect'];
+
+// Tiled exports can be saved with either extension
+const MAP_EXTENSIONS = ['.json', '.tmj'];
+
+// Load and validate shared/maps/<name>.json (or a Tiled .tmj export).
+// Throws with every problem found.
+export async function loadMap(name, mapsDir = MAPS_DIR) {
+  if (typeof name !== 'string' || !MAP_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid map name "${name}"`);
+  }
+
+  let data = null;
+  for (const extension of MAP_EXTENSIONS) {
+    data = await readJson(join(mapsDir, `${name}${extension}`), `Map "${name}"`);
+    if (data) break;
+  }
+  if (!data) {
+    throw new Error(`Map "${name}" not found in ${mapsDir}`);
+  }
+
+  if (isTiledMap(data)) {
+    const externalTilesets = await loadExternalTilesets(data, mapsDir);
+    data = importTiledMap(data, name, externalTilesets);
+  }
+
+  return parseMap(data, name);
+}
+
+// Tilesets saved as separate .tsj files are resolved relative to the maps directory
+async function loadExternalTilesets(tiled, mapsDir) {
+  const tilesets = {};
+
+  for (const { source } of tiled.tilesets ?? []) {
+    if (!source) continue;
+    // A missing tileset is reported by the importer
+    tilesets[source] = await readJson(resolveTilesetPath(mapsDir, source), `Tileset "${source}"`);
+  }
+
+  return tilesets;
+}
+
+// Parsed JSON, or null if the file doesn't exist
+async function readJson(path, label) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`${label} could not be read: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Validate raw map data and fill in defaults
+export function parseMap(data, source = 'map') {
+  const errors = validateMap(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid map "${source}":\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    version: data.version ?? MAP_FORMAT_VERSION,
+    name: data.name ?? source,
+    width: data.width,
+    height: data.height,
+    spawns: {
+      player: data.spawns.player.map((spawn) => ({
+        x: spawn.x,
+        y: spawn.y,
+        radius: spawn.radius ?? 0
+      }))
+    },
+    objects: assignObjectIds(data.objects).map((obj) => ({
+      id: obj.id,
+      type: obj.type,
+      x: obj.x,
+      y: obj.y,
+      rotation: obj.rotation ?? 0,
+      variant: obj.variant ?? ''
+    })),
+    collision: (data.collision ?? []).map((shape) => ({ ...shape })),
+    ground: data.ground ?? null
+  };
+}
+
+// Returns a list of human readable problems, empty when the map is valid
+export function validateMap(data) {
+  const errors = [];
+
+  if (!isObject(data)) {
+    return ['map must be a JSON object'];
+  }
+
+  if (data.version !== undefined && data.version !== MAP_FORMAT_VERSION) {
+    errors.push(`version: unsupported version ${data.version} (expected ${MAP_FORMAT_VERSION})`);
+  }
+  if (data.name !== undefined && typeof data.name !== 'string') {
+    errors.push('name: must be a string');
+  }
+
+  checkPositive(errors, data, 'width', 'width');
+  checkPositive(errors, data, 'height', 'height');
+
+  // Only check positions against the bounds once the bounds are known
+  const bounds = errors.length === 0
+    ? { halfWidth: data.width / 2, halfHeight: data.height / 2 }
+    : null;
+
+  if (!isObject(data.spawns) || !Array.isArray(data.spawns.player) || data.spawns.player.length === 0) {
+    errors.push('spawns.player: must be a non-empty array');
+  } else {
+    data.spawns.player.forEach((spawn, i) => {
+      const path = `spawns.player[${i}]`;
+      if (!isObject(spawn)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      checkPosition(errors, spawn, path, bounds);
+      if (spawn.radius !== undefined && !(isNumber(spawn.radius) && spawn.radius >= 0)) {
+        errors.push(`${path}.radius: must be a number >= 0`);
+      }
+    });
+  }
+
+  if (!Array.isArray(data.objects)) {
+    errors.push('objects: must be an array');
+  } else {
+    const ids = new Set();
+
+    data.objects.forEach((obj, i) => {
+      const path = `objects[${i}]`;
+      if (!isObject(obj)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      // hasOwn, so names like 'constructor' aren't mistaken for object types
+      if (!Object.hasOwn(WORLD_OBJECT_TYPES, obj.type)) {
+        errors.push(`${path}.type: unknown object type "${obj.type}"`);
+      }
+      checkPosition(errors, obj, path, bounds);
+      if (obj.rotation !== undefined && !isNumber(obj.rotation)) {
+        errors.push(`${path}.rotation: must be a number (radians)`);
+      }
+      if (obj.variant !== undefined && typeof obj.variant !== 'string') {
+        errors.push(`${path}.variant: must be a string`);
+      }
+      if (obj.id !== undefined) {
+        if (typeof obj.id !== 'string' || obj.id === '') {
+          errors.push(`${path}.id: must be a non-empty string`);
+        } else if (ids.has(obj.id)) {
+          errors.push(`${path}.id: duplicate id "${obj.id}"`);
+        } else {
+          ids.add(obj.id);
+        }
+      }
+    });
+  }
+
+  if (data.collision !== undefined) {
+    if (!Array.isArray(data.collision)) {
+      errors.push('collision: must be an array');
+    } else {
+      data.collision.forEach((shape, i) => {
+        const path = `collision[${i}]`;
+        if (!isObject(shape) || !COLLISION_SHAPES.includes(shape.type)) {
+          errors.push(`${path}.type: must be one of ${COLLISION_SHAPES.join(', ')}`);
+          return;
+        }
+        checkPosition(errors, shape, path, null);
+        if (shape.type === 'circle') {
+          checkPositive(errors, shape, 'radius', `${path}.radius`);
+        } else {
+          checkPositive(errors, shape, 'width', `${path}.width`);
+          checkPositive(errors, shape, 'height', `${path}.height`);
+        }
+      });
+    }
+  }
+
+  if (data.ground !== undefined) {
+    validateGround(errors, data.ground);
+  }
+
+  return errors;
+}
+
+function validateGround(errors, ground) {
+  if (!isObject(ground)) {
+    errors.push('ground: must be an object');
+    return;
+  }
+
+  checkPositive(errors, ground, 'tileSize', 'ground.tileSize');
+  if (!Number.isInteger(ground.columns) || ground.columns <= 0) {
+    errors.push('ground.columns: must be a positive integer');
+  }
+  if (!Number.isInteger(ground.rows) || ground.rows <= 0) {
+    errors.push('ground.rows: must be a positive integer');
+  }
+  if (!Array.isArray(ground.palette) || ground.palette.some((type) => typeof type !== 'string')) {
+    errors.push('ground.palette: must be an array of ground type names');
+    return;
+  }
+  if (!Array.isArray(ground.data)) {
+    errors.push('ground.data: must be an array of palette indices');
+    return;
+  }
+
+  if (ground.data.length !== ground.columns * ground.rows) {
+    errors.push(`ground.data: expected ${ground.columns * ground.rows} entries, got ${ground.data.length}`);
+  }
+  const badIndex = ground.data.findIndex((index) =>
+    !Number.isInteger(index) || index < -1 || index >= ground.palette.length
+  );
+  if (badIndex !== -1) {
+    errors.push(`ground.data[${badIndex}]: must be -1 or an index into ground.palette`);
+  }
+}
+
+// Objects without an id get <type>_<n>, skipping ids the map already uses
+function assignObjectIds(objects) {
+  const usedIds = new Set(objects.filter((obj) => obj.id !== undefined).map((obj) => obj.id));
+  const counters = {};
+
+  return objects.map((obj) => {
+    if (obj.id !== undefined) return obj;
+
+    let id;
+    do {
+      counters[obj.type] = (counters[obj.type] ?? -1) + 1;
+      id = `${obj.type}_${counters[obj.type]}`;
+    } while (usedIds.has(id));
+
+    usedIds.add(id);
+    return { ...obj, id };
+  });
+}
+
+function checkPosition(errors, value, path, bounds) {
+  if (!isNumber(value.x)) errors.push(`${path}.x: must be a number`);
+  if (!isNumber(value.y)) errors.push(`${path}.y: must be a number`);
+
+  if (bounds && isNumber(value.x) && isNumber(value.y) &&
+      (Math.abs(value.x) > bounds.halfWidth || Math.abs(value.y) > bounds.halfHeight)) {
+    errors.push(`${path}: position (${value.x}, ${value.y}) is outside the map bounds`);
+  }
+}
+
+function checkPositive(errors, value, key, path) {
+  if (!isNumber(value[key]) || value[key] <= 0) {
+    errors.push(`${path}: must be a positive number`);
+  }
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMap, parseMap, validateMap } from './MapLoader.js';
+
+function createMap(objects) {
+  return {
+    version: 1,
+    width: 20,
+    height: 20,
+    spawns: { player: [{ x: 0, y: 0, radius: 2 }] },
+    objects
+  };
+}
+
+test('the bundled maps load', async () => {
+  const map = await loadMap('forest_clearing');
+  assert.ok(map.objects.length > 0);
+  assert.ok(map.spawns.player.length > 0);
+});
+
+test('objects without an id get <type>_<n>, skipping ids already in use', () => {
+  const map = parseMap(createMap([
+    { type: 'tree', x: 1, y: 1 },
+    { id: 'tree_0', type: 'tree', x: 2, y: 2 },
+    { type: 'tree', x: 3, y: 3 },
+    { type: 'rock', x: 4, y: 4, rotation: 1 }
+  ]));
+
+  assert.deepEqual(map.objects.map((obj) => obj.id), ['tree_1', 'tree_0', 'tree_2', 'rock_0']);
+  assert.equal(map.objects[0].rotation, 0);
+  assert.equal(map.objects[0].variant, '');
+});
+
+test('unknown and inherited object types are rejected', () => {
+  const errors = validateMap(createMap([
+    { type: 'dragon', x: 0, y: 0 },
+    { type: 'constructor', x: 0, y: 0 },
+    { type: 'toString', x: 0, y: 0 }
+  ]));
+
+  assert.deepEqual(errors, [
+    'objects[0].type: unknown object type "dragon"',
+    'objects[1].type: unknown object type "constructor"',
+    'objects[2].type: unknown object type "toString"'
+  ]);
+});
+
+test('every problem is reported at once', () => {
+  const errors = validateMap({
+    width: 10,
+    height: -1,
+    spawns: { player: [] },
+    objects: [{ id: 'a', type: 'tree', x: 0, y: 0 }, { id: 'a', type: 'tree', x: 'left', y: 0 }]
+  });
+
+  assert.deepEqual(errors, [
+    'height: must be a positive number',
+    'spawns.player: must be a non-empty array',
+    'objects[1].x: must be a number',
+    'objects[1].id: duplicate id "a"'
+  ]);
+});
+
+test('positions outside the map are rejected', () => {
+  assert.deepEqual(validateMap(createMap([{ type: 'rock', x: 11, y: 0 }])), [
+    'objects[0]: position (11, 0) is outside the map bounds'
+  ]);
+  assert.throws(() => parseMap(createMap([{ type: 'rock', x: 0, y: -12 }]), 'bad_map'), /Invalid map "bad_map"/);
+});
@@ -0,0 +1,276 @@
+import { inflateSync, gunzipSync } from 'zlib';
+import { resolve, relative, isAbsolute, sep } from 'path';
+
+// Converts a Tiled JSON export (.tmj / .json) into the internal map format
+// described in shared/maps/MAP_FORMAT.md. See shared/maps/TILED_GUIDE.md.
+
+// Tiled stores flip/rotation flags in the top bits of each gid
+const GID_MASK = 0x1fffffff;
+
+const COLLISION_LAYER = 'collision';
+const SPAWNS_LAYER = 'spawns';
+const GROUND_LAYER = 'ground';
+
+export function isTiledMap(data) {
+  return data !== null && typeof data === 'object' && data.type === 'map' && Array.isArray(data.layers);
+}
+
+// External tilesets (`source`) must already be loaded into `externalTilesets`, keyed by source
+export function importTiledMap(tiled, name, externalTilesets = {}) {
+  const errors = [];
+
+  if (tiled.orientation !== 'orthogonal') {
+    errors.push(`orientation: only orthogonal maps are supported (got "${tiled.orientation}")`);
+  }
+  if (tiled.infinite) {
+    errors.push('infinite: infinite maps are not supported, uncheck "Infinite" in the map properties');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid Tiled map "${name}":\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const mapProps = getProperties(tiled.properties);
+  const tileSize = mapProps.tileSize ?? 1;
+  const width = tiled.width * tileSize;
+  const height = tiled.height * tileSize;
+
+  // Pixel position in Tiled (origin top-left) to map units (origin at the centre)
+  const toMap = (px, py) => ({
+    x: round(px / tiled.tilewidth * tileSize - width / 2),
+    y: round(py / tiled.tileheight * tileSize - height / 2)
+  });
+  const toUnits = (px) => round(px / tiled.tilewidth * tileSize);
+
+  const tiles = buildTileLookup(tiled.tilesets ?? [], externalTilesets, errors);
+
+  const map = {
+    version: 1,
+    name: mapProps.name ?? name,
+    width,
+    height,
+    spawns: { player: [] },
+    objects: [],
+    collision: []
+  };
+
+  for (const { layer, path } of flattenLayers(tiled.layers)) {
+    const layerName = layer.name.toLowerCase();
+
+    if (layer.type === 'tilelayer') {
+      if (layerName === GROUND_LAYER) {
+        map.ground = importGround(layer, tiles, tileSize, path, errors);
+      }
+    } else if (layer.type === 'objectgroup') {
+      for (const obj of layer.objects) {
+        const objPath = `${path} object ${obj.id}`;
+
+        if (layerName === COLLISION_LAYER) {
+          const shape = importCollisionShape(obj, toMap, toUnits, objPath, errors);
+          if (shape) map.collision.push(shape);
+        } else if (layerName === SPAWNS_LAYER) {
+          const spawn = importSpawn(obj, toMap, toUnits);
+          if (objectType(obj, tiles) === 'player') {
+            map.spawns.player.push(spawn);
+          }
+        } else {
+          const worldObject = importWorldObject(obj, tiles, toMap, objPath, errors);
+          if (worldObject) map.objects.push(worldObject);
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid Tiled map "${name}":\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return map;
+}
+
+// External tileset paths come from the map file, so they may only point at files
+// inside the map's directory. Returns the tileset's full path.
+export function resolveTilesetPath(mapDir, source) {
+  const path = resolve(mapDir, source);
+  const fromMapDir = relative(resolve(mapDir), path);
+  if (fromMapDir === '..' || fromMapDir.startsWith(`..${sep}`) || isAbsolute(fromMapDir)) {
+    throw new Error(`Tileset "${source}" is outside the map's directory`);
+  }
+  return path;
+}
+
+// Layers inside group layers are imported like any other, so layers can be
+// organised into groups in Tiled. Paths look like `layers[1] "props" > layers[0] "objects"`.
+function flattenLayers(layers, parentPath = '') {
+  const result = [];
+
+  layers.forEach((layer, i) => {
+    const path = `${parentPath}layers[${i}] "${layer.name}"`;
+    if (layer.type === 'group') {
+      result.push(...flattenLayers(layer.layers ?? [], `${path} > `));
+    } else {
+      result.push({ layer, path });
+    }
+  });
+
+  return result;
+}
+
+function importWorldObject(obj, tiles, toMap, path, errors) {
+  const type = objectType(obj, tiles);
+  if (!type) {
+    errors.push(`${path}: set a class/type or a "type" property to say what this object is`);
+    return null;
+  }
+
+  const props = getProperties(obj.properties);
+  const worldObject = {
+    type,
+    ...toMap(anchorX(obj), anchorY(obj)),
+    rotation: props.rotation ?? round(obj.rotation * Math.PI / 180)
+  };
+
+  if (props.variant !== undefined) worldObject.variant = props.variant;
+  if (props.id !== undefined) worldObject.id = props.id;
+
+  return worldObject;
+}
+
+function importCollisionShape(obj, toMap, toUnits, path, errors) {
+  if (obj.polygon || obj.polyline) {
+    errors.push(`${path}: polygons are not supported, use rectangles and ellipses`);
+    return null;
+  }
+  if (obj.rotation) {
+    errors.push(`${path}: rotated collision shapes are not supported`);
+    return null;
+  }
+
+  const center = toMap(obj.x + obj.width / 2, obj.y + obj.height / 2);
+
+  if (obj.ellipse || obj.point) {
+    // Points take their radius from a custom property
+    const radius = obj.point
+      ? getProperties(obj.properties).radius
+      : toUnits(Math.max(obj.width, obj.height) / 2);
+    return { type: 'circle', ...center, radius };
+  }
+
+  return { type: 'rect', ...center, width: toUnits(obj.width), height: toUnits(obj.height) };
+}
+
+function importSpawn(obj, toMap, toUnits) {
+  const center = toMap(obj.x + obj.width / 2, obj.y + obj.height / 2);
+  const radius = obj.point
+    ? getProperties(obj.properties).radius ?? 0
+    : toUnits(Math.min(obj.width, obj.height) / 2);
+  return { ...center, radius };
+}
+
+function importGround(layer, tiles, tileSize, path, errors) {
+  const gids = decodeTileData(layer, path, errors);
+  if (!gids) return undefined;
+
+  // Ground types are stored once in a palette and referenced by index
+  const palette = [];
+  const data = gids.map((rawGid) => {
+    const gid = rawGid & GID_MASK;
+    if (gid === 0) return -1;
+
+    const tile = tiles.get(gid);
+    const groundType = tile?.properties.ground ?? tile?.type;
+    if (!groundType) return -1;
+
+    let index = palette.indexOf(groundType);
+    if (index === -1) {
+      index = palette.length;
+      palette.push(groundType);
+    }
+    return index;
+  });
+
+  return {
+    tileSize,
+    columns: layer.width,
+    rows: layer.height,
+    palette,
+    data
+  };
+}
+
+function decodeTileData(layer, path, errors) {
+  if (Array.isArray(layer.data)) {
+    return layer.data;
+  }
+  if (layer.encoding !== 'base64') {
+    errors.push(`${path}: unsupported tile layer encoding "${layer.encoding}"`);
+    return null;
+  }
+
+  let bytes = Buffer.from(layer.data, 'base64');
+  if (layer.compression === 'zlib') {
+    bytes = inflateSync(bytes);
+  } else if (layer.compression === 'gzip') {
+    bytes = gunzipSync(bytes);
+  } else if (layer.compression) {
+    errors.push(`${path}: unsupported tile layer compression "${layer.compression}", use CSV, zlib or gzip`);
+    return null;
+  }
+
+  const gids = [];
+  for (let offset = 0; offset + 4 <= bytes.length; offset += 4) {
+    gids.push(bytes.readUInt32LE(offset));
+  }
+  return gids;
+}
+
+// Map every gid to its tile's class/type and custom properties
+function buildTileLookup(tilesets, externalTilesets, errors) {
+  const tiles = new Map();
+
+  for (const ref of tilesets) {
+    const tileset = ref.source ? externalTilesets[ref.source] : ref;
+    if (!tileset) {
+      errors.push(`tilesets: external tileset "${ref.source}" could not be loaded`);
+      continue;
+    }
+
+    for (const tile of tileset.tiles ?? []) {
+      tiles.set(ref.firstgid + tile.id, {
+        type: tile.type ?? tile.class,
+        properties: getProperties(tile.properties)
+      });
+    }
+  }
+
+  return tiles;
+}
+
+// Object type comes from the object's class (type before Tiled 1.9), a "type"
+// property, or the class of the tile it was placed with
+function objectType(obj, tiles) {
+  const tile = obj.gid ? tiles.get(obj.gid & GID_MASK) : null;
+  return obj.type || obj.class || getProperties(obj.properties).type || tile?.type || tile?.properties.type || null;
+}
+
+// Tile objects are anchored at their bottom-left corner, everything else at the top-left.
+// World objects stand on the bottom centre of their sprite.
+function anchorX(obj) {
+  return obj.point ? obj.x : obj.x + obj.width / 2;
+}
+
+function anchorY(obj) {
+  if (obj.point) return obj.y;
+  return obj.gid ? obj.y : obj.y + obj.height;
+}
+
+function getProperties(properties = []) {
+  const result = {};
+  for (const { name, value } of properties) {
+    result[name] = value;
+  }
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { MAPS_DIR } from './MapLoader.js';
+import { importTiledMap, resolveTilesetPath } from './TiledImporter.js';
+
+async function loadRiverside() {
+  return JSON.parse(await readFile(join(MAPS_DIR, 'riverside.tmj'), 'utf8'));
+}
+
+test('layers inside group layers are imported', async () => {
+  const tiled = await loadRiverside();
+  const expected = importTiledMap(tiled, 'riverside');
+
+  const [ground, ...rest] = tiled.layers;
+  const grouped = {
+    ...tiled,
+    layers: [ground, { type: 'group', name: 'world', layers: [{ type: 'group', name: 'nested', layers: rest }] }]
+  };
+
+  assert.deepEqual(importTiledMap(grouped, 'riverside'), expected);
+  assert.ok(expected.objects.length > 0);
+  assert.ok(expected.spawns.player.length > 0);
+});
+
+test('errors inside groups name the group', async () => {
+  const tiled = await loadRiverside();
+  const objects = tiled.layers.find((layer) => layer.name === 'objects');
+  objects.objects = [{ id: 99, x: 0, y: 0, width: 0, height: 0, point: true }];
+  tiled.layers = [{ type: 'group', name: 'props', layers: [objects] }];
+
+  assert.throws(
+    () => importTiledMap(tiled, 'riverside'),
+    /layers\[0\] "props" > layers\[0\] "objects" object 99: set a class\/type/
+  );
+});
+
+test('external tilesets must be inside the map directory', () => {
+  assert.equal(resolveTilesetPath(MAPS_DIR, 'tiles/ground.tsj'), join(MAPS_DIR, 'tiles/ground.tsj'));
+  assert.equal(resolveTilesetPath(MAPS_DIR, 'tiles/../ground.tsj'), join(MAPS_DIR, 'ground.tsj'));
+
+  for (const source of ['../secret.json', 'tiles/../../secret.json', '/etc/passwd']) {
+    assert.throws(() => resolveTilesetPath(MAPS_DIR, source), /outside the map's directory/);
+  }
+});
@@ -0,0 +1,64 @@
+import { randomUUID } from 'crypto';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { SAVES_DIR } from './SaveStore.js';
+
+// Server-wide bans, kept next to the saves. A ban matches a player identity
+// (see Identity.js), an IP address, or both.
+
+const BANS_FILE = 'bans.json';
+
+let bans = [];
+let bansPath = null;
+
+export async function loadBans(savesDir = SAVES_DIR) {
+  bansPath = join(savesDir, BANS_FILE);
+  try {
+    bans = JSON.parse(await readFile(bansPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    bans = [];
+  }
+}
+
+export function listBans() {
+  return bans.map((ban) => ({ ...ban }));
+}
+
+// The ban covering this identity or IP, if any
+export function findBan({ identity, ip }) {
+  return bans.find((ban) => matchesBan(ban, { identity, ip })) ?? null;
+}
+
+export function matchesBan(ban, { identity, ip }) {
+  return Boolean((ban.identity && ban.identity === identity) || (ban.ip && ban.ip === ip));
+}
+
+// `identity` and `ip` may each be null, but not both
+export async function addBan({ identity = null, ip = null, name = '', reason = '' }) {
+  if (!identity && !ip) throw new Error('A ban needs an identity or an IP address');
+
+  const ban = { id: randomUUID(), identity, ip, name, reason, createdAt: new Date().toISOString() };
+  bans.push(ban);
+  await save();
+  return ban;
+}
+
+// Returns false if there was no such ban
+export async function removeBan(banId) {
+  const index = bans.findIndex((ban) => ban.id === banId);
+  if (index === -1) return false;
+
+  bans.splice(index, 1);
+  await save();
+  return true;
+}
+
+async function save() {
+  if (!bansPath) throw new Error('Ban list not loaded');
+
+  await mkdir(dirname(bansPath), { recursive: true });
+  const tempPath = `${bansPath}.tmp`;
+  await writeFile(tempPath, JSON.stringify(bans, null, 2));
+  await rename(tempPath, bansPath);
+}
@@ -0,0 +1,58 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { SAVES_DIR } from './SaveStore.js';
+
+// Players have no accounts. Instead the server hands each browser a signed
+// token, `<playerId>.<signature>`, which it sends when joining a room; only this
+// server can sign one, so a valid token means the same player came back.
+
+const SECRET_FILE = 'identity.key';
+
+let secret = null;
+
+// The signing key comes from IDENTITY_SECRET, or is made once and kept next to
+// the saves so tokens stay valid across restarts. Call before handling requests.
+export async function loadIdentitySecret(savesDir = SAVES_DIR) {
+  if (process.env.IDENTITY_SECRET) {
+    secret = process.env.IDENTITY_SECRET;
+    return;
+  }
+
+  const path = join(savesDir, SECRET_FILE);
+  try {
+    secret = (await readFile(path, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+
+    secret = randomBytes(32).toString('hex');
+    await mkdir(savesDir, { recursive: true });
+    await writeFile(path, secret, { mode: 0o600 });
+    console.log(`🔑 Created identity key in ${path}`);
+  }
+}
+
+// A new identity: { playerId, token }
+export function issueIdentity() {
+  const playerId = randomUUID();
+  return { playerId, token: `${playerId}.${sign(playerId)}` };
+}
+
+// The player id a token was issued for, or null if this server didn't sign it
+export function verifyIdentity(token) {
+  if (typeof token !== 'string') return null;
+
+  const [playerId, signature, ...rest] = token.split('.');
+  if (!playerId || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(playerId));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  return playerId;
+}
+
+function sign(playerId) {
+  if (!secret) throw new Error('Identity secret not loaded');
+  return createHmac('sha256', secret).update(playerId).digest('base64url');
+}
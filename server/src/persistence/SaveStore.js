@@ -0,0 +1,90 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SAVES_DIR = process.env.SAVES_DIR || join(__dirname, '../../saves');
+
+// Bump when the save format changes, and add a migration from the previous version
+export const SAVE_VERSION = 2;
+
+// World ids come from room options, so keep them to plain file names
+const WORLD_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+// Upgrades a save from version N to N + 1, keyed by N. Old saves run through
+// every step up to SAVE_VERSION when they are read.
+const MIGRATIONS = {
+  // Players were keyed by `name:<lowercase name>` until they had identity
+  // tokens. Those characters wait, by name, for a player to claim them.
+  1: ({ players, ...save }) => ({
+    ...save,
+    players: {},
+    unclaimed: Object.fromEntries(
+      Object.entries(players).map(([key, data]) => [key.replace(/^name:/, ''), data])
+    )
+  })
+};
+
+export function isValidWorldId(worldId) {
+  return typeof worldId === 'string' && WORLD_ID_PATTERN.test(worldId);
+}
+
+// The save for a world, migrated to SAVE_VERSION, or null if it was never saved
+export async function readSave(worldId, savesDir = SAVES_DIR) {
+  if (!isValidWorldId(worldId)) {
+    throw new Error(`Invalid world id "${worldId}"`);
+  }
+
+  let text;
+  try {
+    text = await readFile(join(savesDir, `${worldId}.json`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let save;
+  try {
+    save = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Save "${worldId}" is not valid JSON: ${error.message}`);
+  }
+
+  return migrateSave(save, worldId);
+}
+
+// Written to a temporary file first so a crash mid-write never leaves a broken save
+export async function writeSave(worldId, save, savesDir = SAVES_DIR) {
+  if (!isValidWorldId(worldId)) {
+    throw new Error(`Invalid world id "${worldId}"`);
+  }
+
+  await mkdir(savesDir, { recursive: true });
+
+  const path = join(savesDir, `${worldId}.json`);
+  const tempPath = `${path}.tmp`;
+  await writeFile(tempPath, JSON.stringify({ ...save, version: SAVE_VERSION }, null, 2));
+  await rename(tempPath, path);
+}
+
+export function migrateSave(save, worldId) {
+  if (!Number.isInteger(save?.version)) {
+    throw new Error(`Save "${worldId}" has no version`);
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new Error(`Save "${worldId}" is version ${save.version}, newer than this server (${SAVE_VERSION})`);
+  }
+
+  while (save.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[save.version];
+    if (!migrate) {
+      throw new Error(`Save "${worldId}" is version ${save.version}, which can't be upgraded`);
+    }
+    console.log(`💾 Upgrading save "${worldId}" from version ${save.version}`);
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+
+  return save;
+}
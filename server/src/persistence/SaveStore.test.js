@@ -0,0 +1,59 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SAVE_VERSION, readSave, writeSave, migrateSave, isValidWorldId } from './SaveStore.js';
+
+const savesDir = await mkdtemp(join(tmpdir(), 'saves-'));
+after(() => rm(savesDir, { recursive: true, force: true }));
+
+test('saves are written and read back at the current version', async () => {
+  const save = { world: { map: 'forest_clearing' }, players: {} };
+  await writeSave('base_camp', save, savesDir);
+
+  assert.deepEqual(await readSave('base_camp', savesDir), { ...save, version: SAVE_VERSION });
+  // Nothing is left behind from the temporary file
+  assert.deepEqual(await readdir(savesDir), ['base_camp.json']);
+});
+
+test('worlds that were never saved read as null', async () => {
+  assert.equal(await readSave('nowhere', savesDir), null);
+});
+
+test('world ids must be plain file names', async () => {
+  for (const worldId of ['../escape', 'a/b', '', 'x'.repeat(33), 42, null]) {
+    assert.equal(isValidWorldId(worldId), false);
+    await assert.rejects(readSave(worldId, savesDir), /Invalid world id/);
+    await assert.rejects(writeSave(worldId, {}, savesDir), /Invalid world id/);
+  }
+  assert.equal(isValidWorldId('Base-Camp_2'), true);
+});
+
+test('broken saves are reported, not overwritten', async () => {
+  await writeFile(join(savesDir, 'broken.json'), '{ "version": 1,');
+
+  await assert.rejects(readSave('broken', savesDir), /Save "broken" is not valid JSON/);
+  assert.equal(await readFile(join(savesDir, 'broken.json'), 'utf8'), '{ "version": 1,');
+});
+
+test('saves without a version or from a newer server are rejected', () => {
+  assert.throws(() => migrateSave({ players: {} }, 'old'), /has no version/);
+  assert.throws(() => migrateSave({ version: SAVE_VERSION + 1 }, 'new'), /newer than this server/);
+});
+
+test('version 1 characters wait to be claimed by name', async () => {
+  const knight = { x: 1, z: 2, inventory: [] };
+  await writeFile(join(savesDir, 'old_world.json'), JSON.stringify({
+    version: 1,
+    world: { map: 'forest_clearing' },
+    players: { 'name:sir bob': knight }
+  }));
+
+  assert.deepEqual(await readSave('old_world', savesDir), {
+    version: SAVE_VERSION,
+    world: { map: 'forest_clearing' },
+    players: {},
+    unclaimed: { 'sir bob': knight }
+  });
+});
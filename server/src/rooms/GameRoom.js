@@ -1,56 +1,158 @@
-import { Room } from '@colyseus/core';
-import { GameState, Player, WorldObject } from './GameState.js';
+import { Room, ServerError, ErrorCode } from '@colyseus/core';
+import { StateView } from '@colyseus/schema';
+import {
+  GAME_CONFIG,
+  GAME_MODES,
+  PLAYER_STATES,
+  MESSAGE_TYPES,
+  CLOSE_CODES,
+  STEP_DT,
+  CHARACTER_COLORS,
+  CHARACTER_VARIANTS,
+  DEFAULT_COLOR,
+  DEFAULT_VARIANT,
+  validateName,
+  WORLD_OBJECT_TYPES,
+  MAP_PRESETS,
+  DEFAULT_PRESET,
+  generateSpawns,
+  EMOTES
+} from '@dont-starve-clone/shared';
+import { GameState, Player, WorldObject, OWNER_VIEW_TAG } from './GameState.js';
+import { GatherSystem } from '../systems/GatherSystem.js';
+import { InventorySystem } from '../systems/InventorySystem.js';
+import { CraftingSystem } from '../systems/CraftingSystem.js';
+import { StatsSystem } from '../systems/StatsSystem.js';
+import { DeathSystem } from '../systems/DeathSystem.js';
+import { CollisionSystem } from '../systems/CollisionSystem.js';
+import { MovementSystem } from '../systems/MovementSystem.js';
+import { InterestSystem } from '../systems/InterestSystem.js';
+import { ChunkSystem } from '../systems/ChunkSystem.js';
+import { MessageSystem } from '../systems/MessageSystem.js';
+import { PersistenceSystem } from '../systems/PersistenceSystem.js';
+import { ChatSystem } from '../systems/ChatSystem.js';
+import { loadMap, parseMap } from '../maps/MapLoader.js';
+import { verifyIdentity } from '../persistence/Identity.js';
+import { findBan } from '../persistence/BanList.js';
 
-const MOVE_SPEED = 5;
-const WORLD_SIZE = 50;
-const TICK_RATE = 1000 / 60; // 60 FPS
+const TICK_INTERVAL = 1000 / GAME_CONFIG.TICK_RATE; // ms
+const DEFAULT_MAP = 'forest_clearing';
+const PROCEDURAL_MAP = 'procedural';
+// Longest string accepted as the `seed` option of procedural worlds
+const MAX_SEED_LENGTH = 64;
+// Bounds for the `worldSize` option of procedural worlds. Clients pick it, so it
+// can't go past the default size: that is already 4096 chunks once explored.
+const MIN_WORLD_SIZE = 64;
+const MAX_WORLD_SIZE = GAME_CONFIG.PROCEDURAL_WORLD_SIZE;
+// Seconds a dropped player's body stays in the world waiting for them to reconnect
+const RECONNECT_GRACE_PERIOD = 30;
+// Limits for the lobby-facing room options
+const MAX_PLAYERS = 50;
+const MAX_ROOM_NAME_LENGTH = 32;
+const MAX_PASSWORD_LENGTH = 64;
+// Day/night cycle: 1 game day = 8 minutes real time. Each phase starts at a
+// fraction of the day and lasts until the next one.
+const DAY_LENGTH = 480; // seconds
+const DAY_PHASES = { day: 0, dusk: 0.5, night: 0.625 };
+// WebSocket close reasons are limited to 123 bytes
+const MAX_KICK_REASON_LENGTH = 100;
 
 export class GameRoom extends Room {
-  maxClients = 50;
+  maxClients = MAX_PLAYERS;
 
-  onCreate(options) {
+  async onCreate(options) {
     console.log('🎮 Game room created!');
     
     this.setState(new GameState());
-    this.generateWorld();
+    this.gatherSystem = new GatherSystem(this);
+    this.inventorySystem = new InventorySystem(this);
+    this.craftingSystem = new CraftingSystem(this);
+    this.statsSystem = new StatsSystem(this);
+    this.deathSystem = new DeathSystem(this);
+    this.collisionSystem = new CollisionSystem(this);
+    this.movementSystem = new MovementSystem(this);
+    this.interestSystem = new InterestSystem(this, options);
+    this.chunkSystem = new ChunkSystem(this);
+    this.messageSystem = new MessageSystem(this);
+    this.persistenceSystem = new PersistenceSystem(this);
+    this.chatSystem = new ChatSystem(this);
+    this.objectIdCounter = 0;
+    // Clients removed by kick(), whose seats aren't held for a reconnect
+    this.kickedClients = new Set();
+    // sessionId -> pending allowReconnection() of a dropped player
+    this.reconnections = new Map();
+    // sessionId -> timer that ends the player's current emote
+    this.emoteTimers = new Map();
+    
+    // Rooms created with a `worldId` are saved to disk, and pick up where the
+    // last save left off; its map and mode win over the ones asked for
+    let save = null;
+    if (options.worldId !== undefined) {
+      save = await this.persistenceSystem.open(options.worldId);
+      if (save) {
+        options = { ...options, ...this.persistenceSystem.getWorldOptions(save) };
+      }
+    }
+    
+    this.state.gameMode = Object.values(GAME_MODES).includes(options.gameMode)
+      ? options.gameMode
+      : GAME_MODES.SURVIVAL;
+    
+    try {
+      await this.loadWorld(options);
+      if (save) this.persistenceSystem.restore(save);
+    } catch (error) {
+      // The room never opens, so let another one have the world
+      this.persistenceSystem.close();
+      throw error;
+    }
+    this.configureListing(options);
     
     // Game loop for physics/state updates
-    this.setSimulationInterval(() => this.update(), TICK_RATE);
+    this.setSimulationInterval(() => this.update(), TICK_INTERVAL);
+    
+    // Anything without a handler below counts against the client
+    this.onMessage('*', (client, type) => {
+      this.messageSystem.reject(client, type);
+    });
     
-    // Handle player movement input
-    this.onMessage('move', (client, data) => {
+    // Handle player movement input. Each message is one numbered fixed step,
+    // applied in order by the movement system; ghosts can still float around.
+    this.handleMessage(MESSAGE_TYPES.MOVE, (client, data) => {
       const player = this.state.players.get(client.sessionId);
       if (!player) return;
-      
-      const { dirX, dirZ } = data;
-      
-      // Normalize direction
-      const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
-      if (length > 0) {
-        player.velocityX = (dirX / length) * MOVE_SPEED;
-        player.velocityZ = (dirZ / length) * MOVE_SPEED;
-        player.state = 'walking';
-        
-        // Calculate rotation to face movement direction
-        player.rotation = Math.atan2(dirX, dirZ);
-      }
+      this.movementSystem.queueInput(player, data.seq, data.dirX, data.dirZ);
     });
     
-    this.onMessage('stop', (client) => {
+    this.handleMessage(MESSAGE_TYPES.STOP, (client, data) => {
       const player = this.state.players.get(client.sessionId);
       if (!player) return;
-      
-      player.velocityX = 0;
-      player.velocityZ = 0;
-      player.state = 'idle';
+      this.movementSystem.queueInput(player, data.seq, 0, 0);
     });
     
-    this.onMessage('action', (client, data) => {
+    this.handleMessage(MESSAGE_TYPES.ACTION, (client, data) => {
       const player = this.state.players.get(client.sessionId);
       if (!player) return;
       
+      // The only thing a ghost can do is haunt a touchstone
+      if (player.isGhost) {
+        this.deathSystem.haunt(player);
+        return;
+      }
+      
       player.state = 'action';
       
+      // Picking up dropped items takes priority over gathering
+      if (!this.inventorySystem.pickup(player)) {
+        const result = this.gatherSystem.gather(player);
+        if (result) {
+          for (const { item, count } of result.loot) {
+            this.inventorySystem.giveItem(player, item, count);
+          }
+          this.broadcast(MESSAGE_TYPES.GATHER, result);
+        }
+      }
+      
       // Reset to idle after action animation
       setTimeout(() => {
         if (player.state === 'action') {
@@ -58,110 +160,475 @@ export class GameRoom extends Room {
         }
       }, 500);
     });
+    
+    // Inventory management
+    this.handleMessage(MESSAGE_TYPES.INVENTORY_MOVE, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.inventorySystem.moveItem(player, data.from, data.to, data.count);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.INVENTORY_SPLIT, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.inventorySystem.splitStack(player, data.slot);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.INVENTORY_SWAP, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.inventorySystem.swapSlots(player, data.a, data.b);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.INVENTORY_DROP, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.inventorySystem.dropItem(player, data.slot, data.count);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.EQUIP, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.inventorySystem.equip(player, data.slot);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.UNEQUIP, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.inventorySystem.unequip(player, data.equipSlot);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.CRAFT, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      
+      const result = this.craftingSystem.craft(player, data.recipeId);
+      client.send(MESSAGE_TYPES.CRAFT_RESULT, { recipeId: data.recipeId, ...result });
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.EAT, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.statsSystem.eat(player, data.slot);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.REVIVE, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.deathSystem.reviveWithItem(player, data.slot);
+    });
+    
+    // Ghosts can still talk
+    this.handleMessage(MESSAGE_TYPES.CHAT, (client, data) => {
+      const player = this.state.players.get(client.sessionId);
+      if (!player) return;
+      this.chatSystem.handleMessage(client, player, data);
+    });
+    
+    this.handleMessage(MESSAGE_TYPES.EMOTE, (client, data) => {
+      const player = this.getLivingPlayer(client);
+      if (!player) return;
+      this.playEmote(player, data.emote);
+    });
+  }
+
+  // Password-protected rooms turn away anyone without it. Reconnections skip this.
+  // The validated profile becomes `client.auth` for onJoin.
+  onAuth(client, options, context) {
+    if (this.password && options.password !== this.password) {
+      throw new ServerError(ErrorCode.AUTH_FAILED, 'Wrong password');
+    }
+    
+    const identity = this.validateIdentity(context.token);
+    const ban = findBan({ identity, ip: context.ip });
+    if (ban) {
+      throw new ServerError(ErrorCode.AUTH_FAILED, ban.reason ? `You are banned: ${ban.reason}` : 'You are banned');
+    }
+    
+    return { ...this.validateProfile(client, options), identity, ip: context.ip };
+  }
+
+  // The player id from the identity token the client sent as its auth token
+  // (see POST /identity), or null for a guest. Guests' characters aren't saved.
+  validateIdentity(token) {
+    if (!token) return null;
+    
+    const identity = verifyIdentity(token);
+    if (!identity) {
+      throw new ServerError(ErrorCode.AUTH_FAILED, 'Unknown player identity');
+    }
+    
+    // One character per player, including one still waiting to reconnect
+    for (const player of this.state.players.values()) {
+      if (player.identity === identity) {
+        throw new ServerError(ErrorCode.APPLICATION_ERROR, 'You are already playing in this room');
+      }
+    }
+    
+    return identity;
+  }
+
+  // Name, colour and variant from the join options. Missing values get defaults;
+  // anything unusable turns the join away with a message the client can show.
+  validateProfile(client, options) {
+    let name = `Player_${client.sessionId.slice(0, 4)}`;
+    if (options.name !== undefined) {
+      const result = validateName(options.name);
+      if (result.error) {
+        throw new ServerError(ErrorCode.APPLICATION_ERROR, result.error);
+      }
+      name = result.name;
+    }
+    
+    const lowerName = name.toLowerCase();
+    for (const player of this.state.players.values()) {
+      if (player.name.toLowerCase() === lowerName) {
+        throw new ServerError(ErrorCode.APPLICATION_ERROR, `"${name}" is already playing in this room`);
+      }
+    }
+    
+    const color = options.color ?? DEFAULT_COLOR;
+    if (!CHARACTER_COLORS.includes(color)) {
+      throw new ServerError(ErrorCode.APPLICATION_ERROR, 'Unknown character colour');
+    }
+    
+    const variant = options.variant ?? DEFAULT_VARIANT;
+    if (!Object.hasOwn(CHARACTER_VARIANTS, variant)) {
+      throw new ServerError(ErrorCode.APPLICATION_ERROR, 'Unknown character variant');
+    }
+    
+    return { name, color, variant };
   }
 
-  onJoin(client, options) {
-    console.log(`👤 Player ${client.sessionId} joined!`);
+  onJoin(client, options, profile) {
+    console.log(`👤 Player ${client.sessionId} joined as "${profile.name}"!`);
     
     const player = new Player();
     player.id = client.sessionId;
-    player.name = options.name || `Player_${client.sessionId.slice(0, 4)}`;
+    player.name = profile.name;
+    player.color = profile.color;
+    player.variant = profile.variant;
+    // Not synced; who this character belongs to across sessions
+    player.identity = profile.identity;
+    player.ip = profile.ip;
     
-    // Spawn at random position within world bounds
-    player.x = (Math.random() - 0.5) * WORLD_SIZE * 0.8;
-    player.z = (Math.random() - 0.5) * WORLD_SIZE * 0.8;
-    player.y = 0;
+    // Returning players carry on where they left this world
+    if (this.persistenceSystem.restorePlayer(player)) {
+      this.chunkSystem.activateAround(player);
+    } else {
+      this.placeAtSpawn(player);
+    }
     
     this.state.players.set(client.sessionId, player);
+    
+    // Clients only receive what's near them; their own player always, with
+    // the owner-only fields such as inventory contents
+    client.view = new StateView();
+    client.view.add(player);
+    client.view.add(player, OWNER_VIEW_TAG);
+    this.interestSystem.addClient(client, player);
   }
 
-  onLeave(client, consented) {
+  async onLeave(client, consented) {
+    const player = this.state.players.get(client.sessionId);
+    if (!player) return;
+    
+    // Stop moving with whatever input was last received
+    this.movementSystem.removePlayer(player.id);
+    player.velocityX = 0;
+    player.velocityZ = 0;
+    player.state = PLAYER_STATES.IDLE;
+    
+    // Kicked clients don't get their seat held
+    const kicked = this.kickedClients.delete(client.sessionId);
+    
+    if (!consented && !kicked) {
+      console.log(`📶 Player ${client.sessionId} dropped, waiting ${RECONNECT_GRACE_PERIOD}s for them to reconnect`);
+      player.connected = false;
+      
+      const reconnection = this.allowReconnection(client, RECONNECT_GRACE_PERIOD);
+      this.reconnections.set(client.sessionId, reconnection);
+      try {
+        // The new connection keeps the old StateView, so inventory stays visible
+        await reconnection;
+        player.connected = true;
+        console.log(`🔌 Player ${client.sessionId} reconnected!`);
+        return;
+      } catch (error) {
+        // Grace period expired, or the player was kicked while away
+      } finally {
+        this.reconnections.delete(client.sessionId);
+      }
+    }
+    
     console.log(`👋 Player ${client.sessionId} left!`);
+    this.persistenceSystem.storePlayer(player);
+    // Only now: a reconnecting client keeps its rate limits and strikes
+    this.messageSystem.removeClient(client.sessionId);
+    this.chatSystem.removeClient(client.sessionId);
+    this.emoteTimers.get(client.sessionId)?.clear();
+    this.emoteTimers.delete(client.sessionId);
+    this.interestSystem.removePlayer(client.sessionId);
     this.state.players.delete(client.sessionId);
   }
 
-  onDispose() {
+  // Remove a player for good: their seat isn't held for a reconnect, and the
+  // client shows `reason` instead of retrying. Works on players who are
+  // waiting to reconnect too. Returns false if there is no such player.
+  kick(sessionId, reason) {
+    const reconnection = this.reconnections.get(sessionId);
+    if (reconnection) {
+      console.log(`🚫 Kicking ${sessionId} while they are away: ${reason}`);
+      reconnection.reject(new Error('kicked'));
+      return true;
+    }
+    
+    const client = this.clients.getById(sessionId);
+    if (!client) return false;
+    
+    console.log(`🚫 Kicking ${sessionId}: ${reason}`);
+    this.kickedClients.add(sessionId);
+    client.leave(CLOSE_CODES.KICKED, reason.slice(0, MAX_KICK_REASON_LENGTH));
+    return true;
+  }
+
+  // Client messages are validated and rate limited before `handler` sees them
+  handleMessage(type, handler) {
+    this.onMessage(type, (client, data) => {
+      if (!this.messageSystem.accept(client, type, data)) return;
+      handler(client, data);
+    });
+  }
+
+  async onDispose() {
+    await this.persistenceSystem.save();
+    this.persistenceSystem.close();
     console.log('🗑️ Room disposed');
   }
 
+  // The player for a client, or undefined if they are a ghost and can't interact
+  getLivingPlayer(client) {
+    const player = this.state.players.get(client.sessionId);
+    if (!player || player.isGhost) return undefined;
+    return player;
+  }
+
+  // Move a player straight to (x, z), kept inside the world
+  teleportPlayer(player, x, z) {
+    const halfWidth = this.map.width / 2;
+    const halfHeight = this.map.height / 2;
+    
+    player.x = Math.min(halfWidth, Math.max(-halfWidth, x));
+    player.z = Math.min(halfHeight, Math.max(-halfHeight, z));
+    player.velocityX = 0;
+    player.velocityZ = 0;
+    
+    this.chunkSystem.activateAround(player);
+  }
+
+  // Emotes play standing still; moving or an action cuts them short
+  playEmote(player, emote) {
+    if (player.state === 'walking') return;
+    
+    player.state = emote;
+    this.emoteTimers.get(player.id)?.clear();
+    this.emoteTimers.delete(player.id);
+    
+    const { duration } = EMOTES[emote];
+    if (duration > 0) {
+      this.emoteTimers.set(player.id, this.clock.setTimeout(() => {
+        this.emoteTimers.delete(player.id);
+        if (player.state === emote) {
+          player.state = 'idle';
+        }
+      }, duration * 1000));
+    }
+  }
+
+  placeAtSpawn(player) {
+    // Random point inside a random spawn circle (map y is world z)
+    const spawns = this.map.spawns.player;
+    const spawn = spawns[Math.floor(Math.random() * spawns.length)];
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.sqrt(Math.random()) * spawn.radius;
+    
+    player.x = spawn.x + Math.cos(angle) * distance;
+    player.z = spawn.y + Math.sin(angle) * distance;
+    player.y = 0;
+    
+    // Make sure there's a world to land in
+    this.chunkSystem.activateAround(player);
+  }
+
   update() {
-    const deltaTime = TICK_RATE / 1000;
-    
-    // Update all player positions
-    this.state.players.forEach((player) => {
-      if (player.velocityX !== 0 || player.velocityZ !== 0) {
-        // Apply movement
-        player.x += player.velocityX * deltaTime;
-        player.z += player.velocityZ * deltaTime;
-        
-        // Clamp to world bounds
-        const halfWorld = WORLD_SIZE / 2;
-        player.x = Math.max(-halfWorld, Math.min(halfWorld, player.x));
-        player.z = Math.max(-halfWorld, Math.min(halfWorld, player.z));
-      }
-    });
+    // One movement step per tick
+    const deltaTime = STEP_DT;
+    
+    this.movementSystem.update();
     
     // Update world time
     this.state.worldTime += deltaTime;
+    this.state.serverTime = this.clock.elapsedTime;
     
-    // Day/night cycle (1 game day = 8 minutes real time)
-    const dayLength = 480;
-    const timeOfDay = this.state.worldTime % dayLength;
+    this.state.dayPhase = this.getDayPhase(this.state.worldTime);
     
-    if (timeOfDay < dayLength * 0.5) {
-      this.state.dayPhase = 'day';
-    } else if (timeOfDay < dayLength * 0.625) {
-      this.state.dayPhase = 'dusk';
-    } else {
-      this.state.dayPhase = 'night';
-    }
+    this.statsSystem.update(deltaTime);
+    this.chunkSystem.update(deltaTime);
+    this.interestSystem.update(deltaTime);
+    this.persistenceSystem.update(deltaTime);
   }
 
-  generateWorld() {
-    // Generate trees
-    for (let i = 0; i < 30; i++) {
-      const tree = new WorldObject();
-      tree.id = `tree_${i}`;
-      tree.type = 'tree';
-      tree.x = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      tree.z = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      tree.rotation = Math.random() * Math.PI * 2;
-      this.state.worldObjects.set(tree.id, tree);
+  getDayPhase(worldTime) {
+    const timeOfDay = (worldTime % DAY_LENGTH) / DAY_LENGTH;
+    let current = 'day';
+    for (const [phase, start] of Object.entries(DAY_PHASES)) {
+      if (timeOfDay >= start) current = phase;
     }
+    return current;
+  }
+
+  // Jump the clock forward to the next start of `phase`. Returns false for an unknown phase.
+  setDayPhase(phase) {
+    if (!Object.hasOwn(DAY_PHASES, phase)) return false;
     
-    // Generate rocks
-    for (let i = 0; i < 15; i++) {
-      const rock = new WorldObject();
-      rock.id = `rock_${i}`;
-      rock.type = 'rock';
-      rock.x = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      rock.z = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      rock.rotation = Math.random() * Math.PI * 2;
-      this.state.worldObjects.set(rock.id, rock);
+    const dayStart = Math.floor(this.state.worldTime / DAY_LENGTH) * DAY_LENGTH;
+    let worldTime = dayStart + DAY_PHASES[phase] * DAY_LENGTH;
+    if (worldTime < this.state.worldTime) worldTime += DAY_LENGTH;
+    
+    this.setWorldTime(worldTime);
+    return true;
+  }
+
+  setWorldTime(worldTime) {
+    this.state.worldTime = worldTime;
+    this.state.dayPhase = this.getDayPhase(worldTime);
+  }
+
+  // Capacity, password and what the lobby's room browser shows about this room
+  configureListing(options) {
+    if (Number.isInteger(options.maxPlayers)) {
+      this.maxClients = Math.min(MAX_PLAYERS, Math.max(1, options.maxPlayers));
     }
     
-    // Generate grass tufts
-    for (let i = 0; i < 40; i++) {
-      const grass = new WorldObject();
-      grass.id = `grass_${i}`;
-      grass.type = 'grass';
-      grass.x = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      grass.z = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      grass.rotation = Math.random() * Math.PI * 2;
-      this.state.worldObjects.set(grass.id, grass);
+    // Never put the password itself in the metadata, which every lobby client sees
+    this.password = typeof options.password === 'string' && options.password.length > 0
+      ? options.password.slice(0, MAX_PASSWORD_LENGTH)
+      : null;
+    
+    const roomName = typeof options.roomName === 'string' ? options.roomName.trim().slice(0, MAX_ROOM_NAME_LENGTH) : '';
+    
+    this.setMetadata({
+      roomName: roomName || this.state.mapName,
+      map: this.state.mapName,
+      seed: this.worldSeed,
+      gameMode: this.state.gameMode,
+      worldId: this.persistenceSystem.worldId,
+      hasPassword: this.password !== null
+    });
+  }
+
+  // Load a map from shared/maps, or generate one. Unusable maps fall back to generation.
+  // Either way, objects are only spawned as players come near their chunk.
+  async loadWorld(options) {
+    let map = null;
+    let generator = null;
+    
+    if (options.map !== PROCEDURAL_MAP) {
+      try {
+        map = await loadMap(options.map ?? DEFAULT_MAP);
+      } catch (error) {
+        console.error(`⚠️ ${error.message}`);
+        console.log('🎲 Falling back to procedural generation');
+      }
     }
     
-    // Generate berry bushes
-    for (let i = 0; i < 10; i++) {
-      const bush = new WorldObject();
-      bush.id = `bush_${i}`;
-      bush.type = 'berry_bush';
-      bush.x = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      bush.z = (Math.random() - 0.5) * WORLD_SIZE * 0.9;
-      bush.rotation = Math.random() * Math.PI * 2;
-      this.state.worldObjects.set(bush.id, bush);
+    if (!map) {
+      ({ map, generator } = this.createProceduralWorld(options));
     }
     
-    console.log(`🌍 Generated world with ${this.state.worldObjects.size} objects`);
+    this.map = map;
+    // The `map` option that loads this world again
+    this.mapId = generator ? PROCEDURAL_MAP : options.map ?? DEFAULT_MAP;
+    this.worldSeed = generator?.seed ?? null;
+    this.state.mapName = map.name;
+    this.state.worldWidth = map.width;
+    this.state.worldHeight = map.height;
+    
+    this.chunkSystem.load(map, generator);
+    this.collisionSystem.addMapShapes(map.collision);
+    
+    console.log(`🗺️ Loaded map "${map.name}" (${map.width}×${map.height}) with ${map.objects.length} objects`);
+  }
+
+  // An empty map whose chunks are generated from the seed as they are explored
+  createProceduralWorld(options) {
+    const preset = Object.hasOwn(MAP_PRESETS, options.preset) ? options.preset : DEFAULT_PRESET;
+    // Seeds are whole numbers or short strings; anything else gets a random seed.
+    // Log the seed so any world can be recreated.
+    const seed = isValidSeed(options.seed) ? options.seed : Math.floor(Math.random() * 2 ** 32);
+    const size = Number.isFinite(options.worldSize)
+      ? Math.min(MAX_WORLD_SIZE, Math.max(MIN_WORLD_SIZE, options.worldSize))
+      : GAME_CONFIG.PROCEDURAL_WORLD_SIZE;
+    
+    console.log(`🌍 Generating ${preset} world (${size}×${size}) with seed ${seed}`);
+    const map = parseMap({
+      version: 1,
+      name: PROCEDURAL_MAP,
+      width: size,
+      height: size,
+      generator: { preset, seed },
+      spawns: { player: generateSpawns({ preset, seed, width: size, height: size }) },
+      objects: [],
+      collision: []
+    }, PROCEDURAL_MAP);
+    
+    return { map, generator: { preset, seed } };
   }
+
+  createObjectId(prefix) {
+    this.objectIdCounter++;
+    return `${prefix}_${this.objectIdCounter}`;
+  }
+
+  spawnWorldObject(id, type, x, z, rotation = 0, variant = '') {
+    const obj = new WorldObject();
+    obj.id = id;
+    obj.type = type;
+    obj.x = x;
+    obj.z = z;
+    obj.rotation = rotation;
+    obj.variant = variant;
+    // Not synced; what the object goes back to after regrowing
+    obj.baseVariant = variant;
+    obj.hitsLeft = WORLD_OBJECT_TYPES[type]?.gather?.hits ?? 0;
+    
+    this.state.worldObjects.set(id, obj);
+    this.collisionSystem.addObject(obj);
+    this.interestSystem.addObject(obj);
+    this.chunkSystem.addObject(obj);
+    return obj;
+  }
+
+  // Add an object anywhere in the world: a crafted structure, or one from the
+  // admin API. Its chunk is loaded for it, and unloads (keeping the object) once
+  // nobody is near. The id prefix keeps clear of map object ids, which are `<type>_<n>`.
+  placeWorldObject(type, x, z, rotation = 0, variant = '') {
+    this.chunkSystem.activateAt(x, z);
+    return this.spawnWorldObject(this.createObjectId(`placed_${type}`), type, x, z, rotation, variant);
+  }
+
+  removeWorldObject(id) {
+    const obj = this.state.worldObjects.get(id);
+    if (!obj) return;
+    
+    this.state.worldObjects.delete(id);
+    this.collisionSystem.removeObject(id);
+    this.interestSystem.removeObject(id);
+    this.chunkSystem.removeObject(obj);
+  }
+}
+
+function isValidSeed(seed) {
+  if (typeof seed === 'string') return seed.length > 0 && seed.length <= MAX_SEED_LENGTH;
+  return Number.isInteger(seed);
 }
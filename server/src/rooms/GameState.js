@@ -1,4 +1,8 @@
-import { Schema, MapSchema, defineTypes } from '@colyseus/schema';
+import { Schema, MapSchema, ArraySchema, defineTypes, view } from '@colyseus/schema';
+import { INVENTORY_SIZE, EQUIP_SLOTS } from '@dont-starve-clone/shared';
+
+// StateView tag for fields only the owning client should receive
+export const OWNER_VIEW_TAG = 1;
 
 export class Vector3 extends Schema {
   constructor() {
@@ -14,11 +18,35 @@ defineTypes(Vector3, {
   z: 'number'
 });
 
+export class ItemSlot extends Schema {
+  constructor() {
+    super();
+    this.itemId = '';
+    this.count = 0;
+  }
+
+  isEmpty() {
+    return this.count <= 0;
+  }
+
+  clear() {
+    this.itemId = '';
+    this.count = 0;
+  }
+}
+defineTypes(ItemSlot, {
+  itemId: 'string',
+  count: 'number'
+});
+
 export class Player extends Schema {
   constructor() {
     super();
     this.id = '';
     this.name = '';
+    // Look picked on the profile screen, see shared/profiles.js
+    this.color = '';
+    this.variant = '';
     this.x = 0;
     this.y = 0;
     this.z = 0;
@@ -29,11 +57,31 @@ export class Player extends Schema {
     this.health = 100;
     this.hunger = 100;
     this.sanity = 100;
+    this.isGhost = false;
+    // False while the client has dropped and may still reconnect
+    this.connected = true;
+    // Sequence number of the last movement input applied, for client reconciliation
+    this.lastInputSeq = 0;
+    
+    this.inventory = new ArraySchema();
+    for (let i = 0; i < INVENTORY_SIZE; i++) {
+      this.inventory.push(new ItemSlot());
+    }
+    
+    this.equipment = new MapSchema();
+    for (const slot of EQUIP_SLOTS) {
+      this.equipment.set(slot, new ItemSlot());
+    }
+    
+    // Recipes learned by prototyping at a tech station
+    this.knownRecipes = new ArraySchema();
   }
 }
 defineTypes(Player, {
   id: 'string',
   name: 'string',
+  color: 'string',
+  variant: 'string',
   x: 'number',
   y: 'number',
   z: 'number',
@@ -43,8 +91,18 @@ defineTypes(Player, {
   velocityZ: 'number',
   health: 'number',
   hunger: 'number',
-  sanity: 'number'
+  sanity: 'number',
+  isGhost: 'boolean',
+  connected: 'boolean',
+  lastInputSeq: 'number',
+  inventory: [ItemSlot],
+  equipment: { map: ItemSlot },
+  knownRecipes: ['string']
 });
+// Inventory contents are private; equipment stays public so others can see what you hold
+view(OWNER_VIEW_TAG)(Player.prototype, 'inventory');
+view(OWNER_VIEW_TAG)(Player.prototype, 'knownRecipes');
+view(OWNER_VIEW_TAG)(Player.prototype, 'lastInputSeq');
 
 export class WorldObject extends Schema {
   constructor() {
@@ -55,6 +113,10 @@ export class WorldObject extends Schema {
     this.y = 0;
     this.z = 0;
     this.rotation = 0;
+    this.variant = '';
+    this.hitsLeft = 0;
+    this.itemId = '';
+    this.itemCount = 0;
     this.interactable = true;
   }
 }
@@ -65,21 +127,61 @@ defineTypes(WorldObject, {
   y: 'number',
   z: 'number',
   rotation: 'number',
+  variant: 'string',
+  hitsLeft: 'number',
+  itemId: 'string',
+  itemCount: 'number',
   interactable: 'boolean'
 });
 
+// A loaded chunk of the world; clients build its ground from this
+export class Chunk extends Schema {
+  constructor() {
+    super();
+    this.key = '';
+    this.cx = 0;
+    this.cz = 0;
+    // Ground type per tile, row by row from the most negative x and z ('' is outside the world)
+    this.ground = new ArraySchema();
+  }
+}
+defineTypes(Chunk, {
+  key: 'string',
+  cx: 'number',
+  cz: 'number',
+  ground: ['string']
+});
+
 export class GameState extends Schema {
   constructor() {
     super();
     this.players = new MapSchema();
     this.worldObjects = new MapSchema();
+    // Only chunks near a player are loaded
+    this.chunks = new MapSchema();
     this.worldTime = 0;
+    // Milliseconds since the room started; timestamps snapshots for client interpolation
+    this.serverTime = 0;
     this.dayPhase = 'day';
+    this.gameMode = 'survival';
+    this.mapName = '';
+    this.worldWidth = 0;
+    this.worldHeight = 0;
   }
 }
 defineTypes(GameState, {
   players: { map: Player },
   worldObjects: { map: WorldObject },
+  chunks: { map: Chunk },
   worldTime: 'number',
-  dayPhase: 'string'
+  serverTime: 'number',
+  dayPhase: 'string',
+  gameMode: 'string',
+  mapName: 'string',
+  worldWidth: 'number',
+  worldHeight: 'number'
 });
+// Players, world objects and chunks are only sent to clients that have them in view (see InterestSystem)
+view()(GameState.prototype, 'players');
+view()(GameState.prototype, 'worldObjects');
+view()(GameState.prototype, 'chunks');
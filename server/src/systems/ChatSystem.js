@@ -0,0 +1,252 @@
+import { CHAT_CHANNELS, CHAT_CONFIG, ITEMS, MESSAGE_TYPES } from '@dont-starve-clone/shared';
+import { isAdminToken } from '../admin/AdminApi.js';
+
+// Slash commands typed into the chat. `admin` commands need a /login first.
+// run(chat, client, player, args) returns the reply shown to whoever typed it.
+// Names can have spaces, so arguments may be "quoted"; see findPlayer.
+const COMMANDS = {
+  help: {
+    usage: '/help',
+    run: (chat, client) => {
+      const available = Object.entries(COMMANDS)
+        .filter(([, command]) => !command.admin || chat.admins.has(client.sessionId))
+        .map(([, command]) => command.usage);
+      return `Commands: ${available.join(', ')}. Quote names with spaces, e.g. "Big Bob"`;
+    }
+  },
+  login: {
+    usage: '/login <admin token>',
+    run: (chat, client, player, [token]) => {
+      if (!isAdminToken(token)) return 'Wrong admin token';
+      chat.admins.add(client.sessionId);
+      console.log(`🔑 Player ${client.sessionId} logged in as an admin`);
+      return 'You are now an admin in this room';
+    }
+  },
+  time: {
+    usage: '/time <day|dusk|night|seconds>',
+    admin: true,
+    run: (chat, client, player, [value]) => {
+      const { room } = chat;
+      const seconds = Number(value);
+      if (value !== undefined && Number.isFinite(seconds) && seconds >= 0) {
+        room.setWorldTime(seconds);
+      } else if (!room.setDayPhase(value)) {
+        return 'Usage: /time <day|dusk|night|seconds>';
+      }
+      return `It is now ${room.state.dayPhase} (world time ${Math.floor(room.state.worldTime)}s)`;
+    }
+  },
+  give: {
+    usage: '/give <player> <item> [count]',
+    admin: true,
+    run: (chat, client, player, [name, itemId, countText = '1']) => {
+      const target = chat.findPlayer(name, player);
+      if (!target) return `No player called "${name}"`;
+      if (!Object.hasOwn(ITEMS, itemId)) return `Unknown item "${itemId}"`;
+
+      const count = Number(countText);
+      if (!Number.isInteger(count) || count < 1 || count > 999) return 'Count must be 1 to 999';
+
+      chat.room.inventorySystem.giveItem(target, itemId, count);
+      return `Gave ${count} ${ITEMS[itemId].name} to ${target.name}`;
+    }
+  },
+  tp: {
+    usage: '/tp <player> <x> <z> or /tp <player> <other player>',
+    admin: true,
+    run: (chat, client, player, [name, ...rest]) => {
+      const target = chat.findPlayer(name, player);
+      if (!target) return `No player called "${name}"`;
+
+      let x;
+      let z;
+      if (rest.length === 2) {
+        [x, z] = rest.map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(z)) return 'x and z must be numbers';
+      } else if (rest.length === 1) {
+        const destination = chat.findPlayer(rest[0], player);
+        if (!destination) return `No player called "${rest[0]}"`;
+        ({ x, z } = destination);
+      } else {
+        return `Usage: ${COMMANDS.tp.usage}`;
+      }
+
+      chat.room.teleportPlayer(target, x, z);
+      return `Teleported ${target.name} to ${target.x.toFixed(1)}, ${target.z.toFixed(1)}`;
+    }
+  },
+  kick: {
+    usage: '/kick <player> [reason]',
+    admin: true,
+    run: (chat, client, player, [name, ...reason]) => {
+      const target = chat.findPlayer(name, player);
+      if (!target) return `No player called "${name}"`;
+
+      chat.room.kick(target.id, reason.join(' ') || 'Kicked by an admin');
+      return `Kicked ${target.name}`;
+    }
+  },
+  mute: {
+    usage: '/mute <player> [minutes]',
+    admin: true,
+    run: (chat, client, player, [name, minutesText]) => {
+      const target = chat.findPlayer(name, player);
+      if (!target) return `No player called "${name}"`;
+
+      const minutes = minutesText === undefined ? CHAT_CONFIG.DEFAULT_MUTE_MINUTES : Number(minutesText);
+      if (!Number.isFinite(minutes) || minutes <= 0) return 'Minutes must be a positive number';
+
+      chat.mute(target, minutes);
+      return `Muted ${target.name} for ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+  },
+  unmute: {
+    usage: '/unmute <player>',
+    admin: true,
+    run: (chat, client, player, [name]) => {
+      const target = chat.findPlayer(name, player);
+      if (!target) return `No player called "${name}"`;
+
+      chat.mutes.delete(chat.getMuteKey(target));
+      return `Unmuted ${target.name}`;
+    }
+  }
+};
+
+// Player chat on the global and proximity channels, plus slash commands.
+// Messages are trimmed, slowed down per player, and refused while muted.
+export class ChatSystem {
+  constructor(room) {
+    this.room = room;
+    // sessionIds that have run /login
+    this.admins = new Set();
+    // Player identity (or sessionId for guests) -> clock time the mute ends
+    this.mutes = new Map();
+    // sessionId -> clock times of recent messages, for the slow mode
+    this.recent = new Map();
+  }
+
+  handleMessage(client, player, { channel, text }) {
+    // Control characters would break the chat log
+    text = text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+    if (!text) return;
+
+    if (text.startsWith('/')) {
+      this.runCommand(client, player, text);
+      return;
+    }
+
+    const mutedFor = this.getMuteRemaining(player);
+    if (mutedFor > 0) {
+      this.reply(client, `You are muted for ${Math.ceil(mutedFor / 60000)} more minute(s)`);
+      return;
+    }
+
+    if (!this.takeSlot(client.sessionId)) {
+      this.reply(client, 'You are sending messages too quickly');
+      return;
+    }
+
+    const message = { channel, from: player.id, name: player.name, text };
+    console.log(`💬 [${channel}] ${player.name}: ${text}`);
+
+    if (channel === CHAT_CHANNELS.PROXIMITY) {
+      const radiusSq = CHAT_CONFIG.PROXIMITY_RADIUS * CHAT_CONFIG.PROXIMITY_RADIUS;
+      for (const other of this.room.clients) {
+        const listener = this.room.state.players.get(other.sessionId);
+        if (!listener) continue;
+
+        const dx = listener.x - player.x;
+        const dz = listener.z - player.z;
+        if (dx * dx + dz * dz <= radiusSq) other.send(MESSAGE_TYPES.CHAT, message);
+      }
+    } else {
+      this.room.broadcast(MESSAGE_TYPES.CHAT, message);
+    }
+  }
+
+  runCommand(client, player, text) {
+    const [name = '', ...args] = splitArgs(text.slice(1));
+    const command = Object.hasOwn(COMMANDS, name.toLowerCase()) ? COMMANDS[name.toLowerCase()] : null;
+
+    if (!command) {
+      this.reply(client, `Unknown command "/${name}", try /help`);
+      return;
+    }
+    if (command.admin && !this.admins.has(client.sessionId)) {
+      this.reply(client, `/${name} is for admins, see /login`);
+      return;
+    }
+
+    // Keep admin tokens out of the log
+    if (command !== COMMANDS.login) {
+      console.log(`💬 ${player.name} ran ${text}`);
+    }
+    this.reply(client, command.run(this, client, player, args));
+  }
+
+  reply(client, text) {
+    client.send(MESSAGE_TYPES.CHAT, { channel: CHAT_CHANNELS.SYSTEM, from: '', name: '', text });
+  }
+
+  // "me" is whoever typed the command; otherwise a session id, or a name
+  // ignoring case
+  findPlayer(name, self) {
+    if (!name) return null;
+    if (name.toLowerCase() === 'me') return self;
+    if (this.room.state.players.has(name)) return this.room.state.players.get(name);
+
+    const lowerName = name.toLowerCase();
+    for (const player of this.room.state.players.values()) {
+      if (player.name.toLowerCase() === lowerName) return player;
+    }
+    return null;
+  }
+
+  // Mutes follow the player's identity, so leaving and rejoining doesn't clear them
+  getMuteKey(player) {
+    return player.identity ?? player.id;
+  }
+
+  mute(player, minutes) {
+    this.mutes.set(this.getMuteKey(player), this.room.clock.elapsedTime + minutes * 60000);
+  }
+
+  // ms left on a player's mute, or 0
+  getMuteRemaining(player) {
+    const key = this.getMuteKey(player);
+    const until = this.mutes.get(key);
+    if (until === undefined) return 0;
+
+    const remaining = until - this.room.clock.elapsedTime;
+    if (remaining <= 0) this.mutes.delete(key);
+    return Math.max(0, remaining);
+  }
+
+  // Slow mode: false once a player has sent too many messages recently
+  takeSlot(sessionId) {
+    const now = this.room.clock.elapsedTime;
+    const recent = (this.recent.get(sessionId) ?? []).filter((time) => now - time < CHAT_CONFIG.RATE_LIMIT_WINDOW);
+
+    if (recent.length >= CHAT_CONFIG.RATE_LIMIT_MESSAGES) {
+      this.recent.set(sessionId, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.recent.set(sessionId, recent);
+    return true;
+  }
+
+  removeClient(sessionId) {
+    this.admins.delete(sessionId);
+    this.recent.delete(sessionId);
+  }
+}
+
+// Words separated by whitespace, except that "double quotes" group words
+// into one argument (without the quotes)
+export function splitArgs(text) {
+  return (text.match(/"[^"]*"|\S+/g) ?? []).map((arg) => arg.replace(/^"(.*)"$/, '$1'));
+}
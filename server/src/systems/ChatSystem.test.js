@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player } from '../rooms/GameState.js';
+import { ChatSystem, splitArgs } from './ChatSystem.js';
+
+test('arguments are split on whitespace', () => {
+  assert.deepEqual(splitArgs('give  bob log\t3'), ['give', 'bob', 'log', '3']);
+  assert.deepEqual(splitArgs(''), []);
+  assert.deepEqual(splitArgs('   '), []);
+});
+
+test('double quotes group words into one argument', () => {
+  assert.deepEqual(splitArgs('give "Big Bob" log'), ['give', 'Big Bob', 'log']);
+  assert.deepEqual(splitArgs('kick "" now'), ['kick', '', 'now']);
+  // An unclosed quote is just part of the word
+  assert.deepEqual(splitArgs('mute "Big Bob'), ['mute', '"Big', 'Bob']);
+});
+
+test('players are found by session id, by name ignoring case, or as me', () => {
+  const players = new Map();
+  for (const [id, name] of [['abc', 'Big Bob'], ['def', 'abc']]) {
+    const player = new Player();
+    Object.assign(player, { id, name });
+    players.set(id, player);
+  }
+  const chat = new ChatSystem({ state: { players } });
+  const self = players.get('def');
+
+  assert.equal(chat.findPlayer('big bob', self), players.get('abc'));
+  assert.equal(chat.findPlayer('ME', self), self);
+  // Session ids win over names
+  assert.equal(chat.findPlayer('abc', self), players.get('abc'));
+  assert.equal(chat.findPlayer('nobody', self), null);
+  assert.equal(chat.findPlayer('', self), null);
+});
@@ -0,0 +1,316 @@
+import { ArraySchema } from '@colyseus/schema';
+import {
+  CHUNK_CONFIG,
+  DEFAULT_GROUND,
+  WORLD_OBJECT_TYPES,
+  chunkCoord,
+  chunkKey,
+  generateChunk
+} from '@dont-starve-clone/shared';
+import { Chunk } from '../rooms/GameState.js';
+
+// Chunk activation is checked a few times a second rather than every tick
+const UPDATE_INTERVAL = 250; // ms
+
+// Loads the world a chunk at a time around players. A chunk's objects are only
+// in the room state (and so collided with, gathered and regrown) while it is
+// active; inactive chunks keep them as plain data until someone comes back.
+// Procedural worlds generate each chunk from the seed the first time it loads.
+export class ChunkSystem {
+  constructor(room) {
+    this.room = room;
+    // key -> { cx, cz, generated, active, saved, objectIds, ground }
+    this.chunks = new Map();
+    this.map = null;
+    this.generator = null;
+    // Map objects waiting for their chunk to load, by chunk key
+    this.mapObjects = new Map();
+    this.elapsed = 0;
+  }
+
+  // `generator` is { preset, seed } for procedural worlds, or null to load `map.objects`
+  load(map, generator = null) {
+    this.map = map;
+    this.generator = generator;
+
+    // Map y is world z
+    for (const obj of map.objects) {
+      const key = chunkKey(chunkCoord(obj.x), chunkCoord(obj.y));
+      if (!this.mapObjects.has(key)) this.mapObjects.set(key, []);
+      this.mapObjects.get(key).push(obj);
+    }
+  }
+
+  // Load the chunks around a player straight away, e.g. when they join
+  activateAround(player) {
+    this.forEachChunkNear(player.x, player.z, this.getActiveDistance(), (cx, cz) => {
+      this.activate(this.getChunk(cx, cz));
+    });
+  }
+
+  activateAt(x, z) {
+    this.activate(this.getChunk(chunkCoord(x), chunkCoord(z)));
+  }
+
+  addObject(obj) {
+    this.getChunk(chunkCoord(obj.x), chunkCoord(obj.z)).objectIds.add(obj.id);
+  }
+
+  removeObject(obj) {
+    this.chunks.get(chunkKey(chunkCoord(obj.x), chunkCoord(obj.z)))?.objectIds.delete(obj.id);
+  }
+
+  // Called once per server tick
+  update(deltaTime) {
+    this.elapsed += deltaTime * 1000;
+    if (this.elapsed < UPDATE_INTERVAL) return;
+    this.elapsed = 0;
+
+    // Chunks load a little before anyone can see them and unload a chunk's width later
+    const activeDistance = this.getActiveDistance();
+    const wanted = new Set();
+    const kept = new Set();
+
+    this.room.state.players.forEach((player) => {
+      this.forEachChunkNear(player.x, player.z, activeDistance, (cx, cz) => wanted.add(chunkKey(cx, cz)));
+      this.forEachChunkNear(player.x, player.z, activeDistance + CHUNK_CONFIG.SIZE, (cx, cz) => kept.add(chunkKey(cx, cz)));
+    });
+
+    this.chunks.forEach((chunk, key) => {
+      if (chunk.active && !kept.has(key)) this.deactivate(chunk);
+    });
+
+    for (const key of wanted) {
+      const [cx, cz] = key.split(',').map(Number);
+      this.activate(this.getChunk(cx, cz));
+    }
+  }
+
+  // Everything a client can see must be loaded
+  getActiveDistance() {
+    return this.room.interestSystem.exitRadius + CHUNK_CONFIG.SIZE / 2;
+  }
+
+  getChunk(cx, cz) {
+    const key = chunkKey(cx, cz);
+    let chunk = this.chunks.get(key);
+    if (!chunk) {
+      chunk = { key, cx, cz, generated: false, active: false, saved: [], objectIds: new Set(), ground: [] };
+      this.chunks.set(key, chunk);
+    }
+    return chunk;
+  }
+
+  // Calls fn(cx, cz) for every in-world chunk with a point within `distance` of (x, z)
+  forEachChunkNear(x, z, distance, fn) {
+    const size = CHUNK_CONFIG.SIZE;
+    const halfWidth = this.map.width / 2;
+    const halfHeight = this.map.height / 2;
+
+    const minCx = chunkCoord(Math.max(-halfWidth, x - distance));
+    const maxCx = chunkCoord(Math.min(halfWidth, x + distance) - 1e-6);
+    const minCz = chunkCoord(Math.max(-halfHeight, z - distance));
+    const maxCz = chunkCoord(Math.min(halfHeight, z + distance) - 1e-6);
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cz = minCz; cz <= maxCz; cz++) {
+        const dx = x - Math.max(cx * size, Math.min(x, (cx + 1) * size));
+        const dz = z - Math.max(cz * size, Math.min(z, (cz + 1) * size));
+        if (dx * dx + dz * dz <= distance * distance) fn(cx, cz);
+      }
+    }
+  }
+
+  activate(chunk) {
+    if (chunk.active) return;
+    chunk.active = true;
+
+    if (!chunk.generated) {
+      this.generate(chunk);
+    }
+
+    const now = this.room.clock.elapsedTime;
+    for (const data of chunk.saved) {
+      const obj = this.room.spawnWorldObject(data.id, data.type, data.x, data.z, data.rotation, data.baseVariant);
+      obj.variant = data.variant;
+      obj.hitsLeft = data.hitsLeft;
+      obj.itemId = data.itemId;
+      obj.itemCount = data.itemCount;
+      obj.interactable = data.interactable;
+      obj.regrowAt = data.regrowAt;
+
+      // Its regrow timer went off while nobody was around
+      const gatherDef = WORLD_OBJECT_TYPES[obj.type]?.gather;
+      if (obj.regrowAt !== null && obj.regrowAt <= now && gatherDef) {
+        this.room.gatherSystem.regrow(obj.id, gatherDef);
+      }
+    }
+    chunk.saved = [];
+
+    const schema = new Chunk();
+    schema.key = chunk.key;
+    schema.cx = chunk.cx;
+    schema.cz = chunk.cz;
+    schema.ground = new ArraySchema(...chunk.ground);
+    this.room.state.chunks.set(chunk.key, schema);
+  }
+
+  deactivate(chunk) {
+    chunk.active = false;
+
+    for (const objectId of [...chunk.objectIds]) {
+      const obj = this.room.state.worldObjects.get(objectId);
+      if (!obj) continue;
+
+      chunk.saved.push(this.saveObject(obj));
+      this.room.removeWorldObject(objectId);
+    }
+
+    this.room.state.chunks.delete(chunk.key);
+    this.room.interestSystem.removeChunk(chunk.key);
+  }
+
+  // Plain data for an object whose chunk is unloading, restored by activate()
+  saveObject(obj) {
+    return {
+      id: obj.id,
+      type: obj.type,
+      x: obj.x,
+      z: obj.z,
+      rotation: obj.rotation,
+      variant: obj.variant,
+      baseVariant: obj.baseVariant,
+      hitsLeft: obj.hitsLeft,
+      itemId: obj.itemId,
+      itemCount: obj.itemCount,
+      interactable: obj.interactable,
+      regrowAt: obj.regrowAt ?? null
+    };
+  }
+
+  // Every generated chunk and its objects, for a world save. Regrow times are
+  // stored as time left, since the room clock starts over when the world loads.
+  serialize() {
+    const now = this.room.clock.elapsedTime;
+    const chunks = [];
+
+    this.chunks.forEach((chunk) => {
+      if (!chunk.generated) return;
+
+      const objects = chunk.active
+        ? [...chunk.objectIds]
+          .map((objectId) => this.room.state.worldObjects.get(objectId))
+          .filter(Boolean)
+          .map((obj) => this.saveObject(obj))
+        : chunk.saved;
+
+      chunks.push({
+        cx: chunk.cx,
+        cz: chunk.cz,
+        ground: chunk.ground,
+        objects: objects.map(({ regrowAt, ...data }) => ({
+          ...data,
+          regrowIn: regrowAt === null ? null : Math.max(0, regrowAt - now)
+        }))
+      });
+    });
+
+    return chunks;
+  }
+
+  // Put back chunks from a world save; they load as usual once a player comes near
+  restore(chunks) {
+    const now = this.room.clock.elapsedTime;
+
+    for (const { cx, cz, ground, objects } of chunks) {
+      const chunk = this.getChunk(cx, cz);
+      chunk.generated = true;
+      chunk.ground = ground;
+      // Otherwise a static map's objects would be added a second time
+      this.mapObjects.delete(chunk.key);
+
+      chunk.saved = objects.map(({ regrowIn, ...data }) => {
+        if (regrowIn === null) return { ...data, regrowAt: null };
+
+        // If the chunk is unloaded when this fires, activate() catches up instead
+        const gatherDef = WORLD_OBJECT_TYPES[data.type]?.gather;
+        if (gatherDef) {
+          this.room.clock.setTimeout(() => this.room.gatherSystem.regrow(data.id, gatherDef), regrowIn);
+        }
+        return { ...data, regrowAt: now + regrowIn };
+      });
+    }
+  }
+
+  // Fill a chunk the first time it loads
+  generate(chunk) {
+    chunk.generated = true;
+
+    let objects;
+    if (this.generator) {
+      const generated = generateChunk({
+        ...this.generator,
+        cx: chunk.cx,
+        cy: chunk.cz,
+        width: this.map.width,
+        height: this.map.height
+      });
+      objects = generated.objects;
+      chunk.ground = generated.ground;
+    } else {
+      objects = this.mapObjects.get(chunk.key) ?? [];
+      this.mapObjects.delete(chunk.key);
+      chunk.ground = this.sampleMapGround(chunk);
+    }
+
+    chunk.saved = objects.map((obj) => ({
+      id: obj.id,
+      type: obj.type,
+      x: obj.x,
+      z: obj.y,
+      rotation: obj.rotation ?? 0,
+      variant: obj.variant ?? '',
+      baseVariant: obj.variant ?? '',
+      hitsLeft: WORLD_OBJECT_TYPES[obj.type]?.gather?.hits ?? 0,
+      itemId: '',
+      itemCount: 0,
+      interactable: true,
+      regrowAt: null
+    }));
+  }
+
+  // Chunk ground tiles from the map's ground layer, or plain grass without one
+  sampleMapGround(chunk) {
+    const tiles = CHUNK_CONFIG.GROUND_TILES;
+    const tileSize = CHUNK_CONFIG.SIZE / tiles;
+    const halfWidth = this.map.width / 2;
+    const halfHeight = this.map.height / 2;
+    const mapGround = this.map.ground;
+    const ground = [];
+
+    for (let ty = 0; ty < tiles; ty++) {
+      for (let tx = 0; tx < tiles; tx++) {
+        const x = chunk.cx * CHUNK_CONFIG.SIZE + (tx + 0.5) * tileSize;
+        const z = chunk.cz * CHUNK_CONFIG.SIZE + (ty + 0.5) * tileSize;
+
+        if (Math.abs(x) > halfWidth || Math.abs(z) > halfHeight) {
+          ground.push('');
+          continue;
+        }
+
+        let type = DEFAULT_GROUND;
+        if (mapGround) {
+          // Map ground data starts at the most negative corner of the map
+          const column = Math.floor((x + halfWidth) / mapGround.tileSize);
+          const row = Math.floor((z + halfHeight) / mapGround.tileSize);
+          if (column < mapGround.columns && row < mapGround.rows) {
+            type = mapGround.palette[mapGround.data[row * mapGround.columns + column]] ?? DEFAULT_GROUND;
+          }
+        }
+        ground.push(type);
+      }
+    }
+
+    return ground;
+  }
+}
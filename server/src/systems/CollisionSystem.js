@@ -0,0 +1,64 @@
+import { WORLD_OBJECT_TYPES, COLLISION_CONFIG, SpatialHash } from '@dont-starve-clone/shared';
+
+export class CollisionSystem {
+  constructor(room) {
+    this.room = room;
+    // World objects and map shapes only change when something is spawned or removed
+    this.staticColliders = new SpatialHash();
+    // Players move every tick, so this hash is rebuilt each update
+    this.playerColliders = new SpatialHash();
+  }
+
+  addObject(obj) {
+    const radius = WORLD_OBJECT_TYPES[obj.type]?.collisionRadius;
+    if (!radius) return;
+
+    this.staticColliders.insert(obj.id, { type: 'circle', x: obj.x, z: obj.z, radius });
+  }
+
+  removeObject(objectId) {
+    this.staticColliders.remove(objectId);
+  }
+
+  // Extra shapes from the map file (map y is world z)
+  addMapShapes(shapes) {
+    shapes.forEach((shape, i) => {
+      const collider = shape.type === 'circle'
+        ? { type: 'circle', x: shape.x, z: shape.y, radius: shape.radius }
+        : { type: 'rect', x: shape.x, z: shape.y, halfWidth: shape.width / 2, halfHeight: shape.height / 2 };
+      this.staticColliders.insert(`map_collision_${i}`, collider);
+    });
+  }
+
+  // Ghosts float through everything and nothing bumps into them
+  syncPlayers() {
+    this.playerColliders.clear();
+
+    this.room.state.players.forEach((player) => {
+      if (player.isGhost) return;
+      this.playerColliders.insert(player.id, {
+        type: 'circle',
+        x: player.x,
+        z: player.z,
+        radius: COLLISION_CONFIG.PLAYER_RADIUS
+      });
+    });
+  }
+
+  // What a moving player slides around
+  getColliders() {
+    return [this.staticColliders, this.playerColliders];
+  }
+
+  // Later players in this tick collide with where this one ended up
+  updatePlayer(player) {
+    if (player.isGhost) return;
+
+    this.playerColliders.insert(player.id, {
+      type: 'circle',
+      x: player.x,
+      z: player.z,
+      radius: COLLISION_CONFIG.PLAYER_RADIUS
+    });
+  }
+}
@@ -0,0 +1,92 @@
+import { GAME_CONFIG, RECIPES } from '@dont-starve-clone/shared';
+
+export class CraftingSystem {
+  constructor(room) {
+    this.room = room;
+  }
+
+  // Craft a recipe for a player. Returns { success, reason } so the result
+  // can be reported back to the crafting client.
+  craft(player, recipeId) {
+    // hasOwn, so names like 'constructor' aren't mistaken for recipes
+    if (!Object.hasOwn(RECIPES, recipeId)) {
+      return { success: false, reason: 'unknown_recipe' };
+    }
+    const recipe = RECIPES[recipeId];
+
+    const known = this.isKnown(player, recipeId);
+    if (!known && !this.isNearStation(player, recipe.unlock.prototype)) {
+      return { success: false, reason: 'locked' };
+    }
+
+    if (recipe.station && !this.isNearStation(player, recipe.station)) {
+      return { success: false, reason: 'missing_station' };
+    }
+
+    const required = this.getRequiredItems(recipe);
+    for (const [itemId, count] of required) {
+      if (this.room.inventorySystem.countItem(player, itemId) < count) {
+        return { success: false, reason: 'missing_ingredients' };
+      }
+    }
+
+    // Everything was checked above, so consuming can't fail part way through
+    for (const [itemId, count] of required) {
+      this.room.inventorySystem.removeItem(player, itemId, count);
+    }
+
+    this.grantOutput(player, recipe.output);
+
+    if (!known) {
+      player.knownRecipes.push(recipeId);
+    }
+
+    return { success: true };
+  }
+
+  isKnown(player, recipeId) {
+    if (!Object.hasOwn(RECIPES, recipeId)) return false;
+    return !RECIPES[recipeId].unlock || player.knownRecipes.includes(recipeId);
+  }
+
+  isNearStation(player, stationType) {
+    const rangeSq = GAME_CONFIG.CRAFT_STATION_RANGE * GAME_CONFIG.CRAFT_STATION_RANGE;
+    let found = false;
+
+    this.room.interestSystem.getObjectsNear(player.x, player.z, GAME_CONFIG.CRAFT_STATION_RANGE).forEach((obj) => {
+      if (found || obj.type !== stationType) return;
+
+      const dx = obj.x - player.x;
+      const dz = obj.z - player.z;
+      found = dx * dx + dz * dz <= rangeSq;
+    });
+
+    return found;
+  }
+
+  // Total each ingredient so recipes listing an item twice are still checked correctly
+  getRequiredItems(recipe) {
+    const required = new Map();
+    for (const { item, count } of recipe.ingredients) {
+      required.set(item, (required.get(item) || 0) + count);
+    }
+    return required;
+  }
+
+  grantOutput(player, output) {
+    if (output.item) {
+      this.room.inventorySystem.giveItem(player, output.item, output.count);
+      return;
+    }
+
+    // Place structures just in front of the player. placeWorldObject keeps
+    // their ids clear of the map's own objects.
+    const distance = 1.5;
+    this.room.placeWorldObject(
+      output.structure,
+      player.x + Math.sin(player.rotation) * distance,
+      player.z + Math.cos(player.rotation) * distance,
+      player.rotation
+    );
+  }
+}
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player, WorldObject } from '../rooms/GameState.js';
+import { InventorySystem } from './InventorySystem.js';
+import { CraftingSystem } from './CraftingSystem.js';
+
+// Just enough of GameRoom for crafting: an inventory and a world to build in
+function createRoom() {
+  const room = {
+    state: { worldObjects: new Map() },
+    objectIdCounter: 0,
+    createObjectId(prefix) {
+      this.objectIdCounter++;
+      return `${prefix}_${this.objectIdCounter}`;
+    },
+    spawnWorldObject(id, type, x, z, rotation = 0) {
+      const obj = new WorldObject();
+      Object.assign(obj, { id, type, x, z, rotation });
+      this.state.worldObjects.set(id, obj);
+      return obj;
+    },
+    placeWorldObject(type, x, z, rotation = 0) {
+      return this.spawnWorldObject(this.createObjectId(`placed_${type}`), type, x, z, rotation);
+    }
+  };
+  // The real one asks a spatial hash; a handful of objects can just be scanned
+  room.interestSystem = {
+    getObjectsNear(x, z, radius) {
+      return [...room.state.worldObjects.values()]
+        .filter((obj) => (obj.x - x) ** 2 + (obj.z - z) ** 2 <= radius * radius);
+    }
+  };
+  room.inventorySystem = new InventorySystem(room);
+  room.craftingSystem = new CraftingSystem(room);
+  return room;
+}
+
+function give(room, player, items) {
+  for (const [itemId, count] of Object.entries(items)) {
+    room.inventorySystem.addItem(player, itemId, count);
+  }
+}
+
+function count(room, player, itemId) {
+  return room.inventorySystem.countItem(player, itemId);
+}
+
+test('crafting consumes the ingredients and adds the output', () => {
+  const room = createRoom();
+  const player = new Player();
+  give(room, player, { cut_grass: 5 });
+
+  assert.deepEqual(room.craftingSystem.craft(player, 'rope'), { success: true });
+  assert.equal(count(room, player, 'cut_grass'), 2);
+  assert.equal(count(room, player, 'rope'), 1);
+});
+
+test('nothing is consumed when an ingredient is missing', () => {
+  const room = createRoom();
+  const player = new Player();
+  give(room, player, { log: 3, cut_grass: 1 });
+
+  assert.deepEqual(room.craftingSystem.craft(player, 'torch'), { success: false, reason: 'missing_ingredients' });
+  assert.equal(count(room, player, 'log'), 3);
+  assert.equal(count(room, player, 'cut_grass'), 1);
+  assert.equal(count(room, player, 'torch'), 0);
+});
+
+test('ingredients are taken across several stacks', () => {
+  const room = createRoom();
+  const player = new Player();
+  player.inventory[0].itemId = 'cut_grass';
+  player.inventory[0].count = 1;
+  player.inventory[4].itemId = 'cut_grass';
+  player.inventory[4].count = 2;
+
+  assert.equal(room.craftingSystem.craft(player, 'rope').success, true);
+  assert.equal(count(room, player, 'cut_grass'), 0);
+});
+
+test('unknown and inherited recipe ids are rejected', () => {
+  const room = createRoom();
+  const player = new Player();
+
+  for (const recipeId of ['nope', 'constructor', '__proto__', undefined]) {
+    assert.deepEqual(room.craftingSystem.craft(player, recipeId), { success: false, reason: 'unknown_recipe' });
+  }
+});
+
+test('structures are placed in the world with placed_ ids', () => {
+  const room = createRoom();
+  const player = new Player();
+  give(room, player, { log: 2, cut_grass: 3 });
+
+  assert.equal(room.craftingSystem.craft(player, 'campfire').success, true);
+  assert.deepEqual([...room.state.worldObjects.keys()], ['placed_campfire_1']);
+});
+
+test('station recipes need the station nearby', () => {
+  const room = createRoom();
+  const player = new Player();
+  give(room, player, { berries: 2 });
+
+  assert.equal(room.craftingSystem.craft(player, 'cooked_berries').reason, 'missing_station');
+  assert.equal(count(room, player, 'berries'), 2);
+
+  room.spawnWorldObject('campfire_0', 'campfire', 2, 0);
+  assert.equal(room.craftingSystem.craft(player, 'cooked_berries').success, true);
+  assert.equal(count(room, player, 'berries'), 1);
+});
+
+test('locked recipes are learned by prototyping at their station', () => {
+  const room = createRoom();
+  const player = new Player();
+  give(room, player, { log: 4, flint: 4 });
+
+  assert.equal(room.craftingSystem.craft(player, 'pickaxe').reason, 'locked');
+  assert.equal(count(room, player, 'log'), 4);
+
+  const machine = room.spawnWorldObject('science_machine_0', 'science_machine', 1, 1);
+  assert.equal(room.craftingSystem.craft(player, 'pickaxe').success, true);
+  assert.deepEqual([...player.knownRecipes], ['pickaxe']);
+
+  // Known recipes can be crafted away from the station
+  room.state.worldObjects.delete(machine.id);
+  assert.equal(room.craftingSystem.craft(player, 'pickaxe').success, true);
+  assert.equal(count(room, player, 'pickaxe'), 2);
+});
@@ -0,0 +1,122 @@
+import { DEATH_CONFIG, GAME_MODES, ITEMS, MESSAGE_TYPES, WORLD_OBJECT_TYPES } from '@dont-starve-clone/shared';
+
+export class DeathSystem {
+  constructor(room) {
+    this.room = room;
+    // Pending survival_lite respawns, cleared if the ghost is revived another way
+    this.respawnTimers = new Map();
+  }
+
+  // Turn a player into a ghost, scattering everything they carried
+  kill(player, cause) {
+    if (player.isGhost) return;
+
+    console.log(`💀 Player ${player.id} died (${cause})`);
+
+    this.room.inventorySystem.dropAll(player);
+
+    player.isGhost = true;
+    player.health = 0;
+    player.state = 'idle';
+    player.velocityX = 0;
+    player.velocityZ = 0;
+
+    this.room.broadcast(MESSAGE_TYPES.PLAYER_DIED, { playerId: player.id, cause });
+
+    if (this.room.state.gameMode === GAME_MODES.SURVIVAL_LITE) {
+      this.scheduleRespawn(player);
+    }
+  }
+
+  // survival_lite ghosts come back at a spawn point after a delay
+  scheduleRespawn(player) {
+    this.respawnTimers.get(player.id)?.clear();
+    const timer = this.room.clock.setTimeout(() => this.respawn(player), DEATH_CONFIG.RESPAWN_DELAY * 1000);
+    this.respawnTimers.set(player.id, timer);
+  }
+
+  revive(player, revivedBy) {
+    if (!player.isGhost) return;
+
+    this.respawnTimers.get(player.id)?.clear();
+    this.respawnTimers.delete(player.id);
+
+    player.isGhost = false;
+    player.health = DEATH_CONFIG.REVIVE_STATS.health;
+    player.hunger = DEATH_CONFIG.REVIVE_STATS.hunger;
+    player.sanity = DEATH_CONFIG.REVIVE_STATS.sanity;
+
+    this.room.broadcast(MESSAGE_TYPES.PLAYER_REVIVED, { playerId: player.id, revivedBy });
+  }
+
+  respawn(player) {
+    this.respawnTimers.delete(player.id);
+
+    // The player may have left while waiting
+    if (this.room.state.players.get(player.id) !== player) return;
+
+    this.room.placeAtSpawn(player);
+    this.revive(player, 'respawn');
+  }
+
+  // A ghost using the action key next to a touchstone comes back to life
+  haunt(ghost) {
+    const touchstone = this.findNearest(ghost, (obj) => WORLD_OBJECT_TYPES[obj.type]?.reviveStation);
+    if (!touchstone) return false;
+
+    this.revive(ghost, touchstone.id);
+    return true;
+  }
+
+  // Use a reviving item from the reviver's inventory on the nearest ghost
+  reviveWithItem(reviver, index) {
+    const slot = this.room.inventorySystem.getSlot(reviver, index);
+    if (!slot || slot.isEmpty() || !ITEMS[slot.itemId]?.revives) return false;
+
+    const rangeSq = DEATH_CONFIG.REVIVE_RANGE * DEATH_CONFIG.REVIVE_RANGE;
+    let ghost = null;
+    let nearestDistSq = Infinity;
+
+    this.room.state.players.forEach((player) => {
+      if (!player.isGhost) return;
+
+      const dx = player.x - reviver.x;
+      const dz = player.z - reviver.z;
+      const distSq = dx * dx + dz * dz;
+
+      if (distSq <= rangeSq && distSq < nearestDistSq) {
+        ghost = player;
+        nearestDistSq = distSq;
+      }
+    });
+
+    if (!ghost) return false;
+
+    slot.count -= 1;
+    if (slot.count === 0) slot.clear();
+
+    this.revive(ghost, reviver.id);
+    return true;
+  }
+
+  findNearest(player, predicate) {
+    const rangeSq = DEATH_CONFIG.REVIVE_RANGE * DEATH_CONFIG.REVIVE_RANGE;
+    let nearest = null;
+    let nearestDistSq = Infinity;
+
+    this.room.interestSystem.getObjectsNear(player.x, player.z, DEATH_CONFIG.REVIVE_RANGE).forEach((obj) => {
+      if (!predicate(obj)) return;
+
+      const dx = obj.x - player.x;
+      const dz = obj.z - player.z;
+      const distSq = dx * dx + dz * dz;
+
+      if (distSq <= rangeSq && distSq < nearestDistSq) {
+        nearest = obj;
+        nearestDistSq = distSq;
+      }
+    });
+
+    return nearest;
+  }
+}
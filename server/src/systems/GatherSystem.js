@@ -0,0 +1,102 @@
+import { GAME_CONFIG, ITEMS, WORLD_OBJECT_TYPES } from '@dont-starve-clone/shared';
+
+export class GatherSystem {
+  constructor(room) {
+    this.room = room;
+  }
+
+  // Resolve one gather swing for a player. Returns a result describing what
+  // happened so it can be broadcast to clients, or null if nothing is in reach.
+  gather(player) {
+    const target = this.findTarget(player);
+    if (!target) return null;
+
+    const gatherDef = WORLD_OBJECT_TYPES[target.type].gather;
+
+    // Face the object being gathered
+    player.rotation = Math.atan2(target.x - player.x, target.z - player.z);
+
+    const heldItem = player.equipment.get('hand')?.itemId;
+    const hits = gatherDef.tool && ITEMS[heldItem]?.tool === gatherDef.tool ? 2 : 1;
+    target.hitsLeft = Math.max(0, target.hitsLeft - hits);
+
+    const result = {
+      playerId: player.id,
+      objectId: target.id,
+      objectType: target.type,
+      verb: gatherDef.verb,
+      x: target.x,
+      z: target.z,
+      depleted: target.hitsLeft === 0,
+      loot: []
+    };
+
+    if (result.depleted) {
+      result.loot = this.rollLoot(gatherDef.loot);
+      this.deplete(target, gatherDef);
+    }
+
+    return result;
+  }
+
+  // Nearest interactable, gatherable object within reach of the player
+  findTarget(player) {
+    const rangeSq = GAME_CONFIG.GATHER_RANGE * GAME_CONFIG.GATHER_RANGE;
+    let nearest = null;
+    let nearestDistSq = Infinity;
+
+    this.room.interestSystem.getObjectsNear(player.x, player.z, GAME_CONFIG.GATHER_RANGE).forEach((obj) => {
+      if (!obj.interactable || obj.hitsLeft <= 0) return;
+      if (!WORLD_OBJECT_TYPES[obj.type]?.gather) return;
+
+      const dx = obj.x - player.x;
+      const dz = obj.z - player.z;
+      const distSq = dx * dx + dz * dz;
+
+      if (distSq <= rangeSq && distSq < nearestDistSq) {
+        nearest = obj;
+        nearestDistSq = distSq;
+      }
+    });
+
+    return nearest;
+  }
+
+  rollLoot(lootTable) {
+    const loot = [];
+
+    for (const entry of lootTable) {
+      if (entry.chance !== undefined && Math.random() >= entry.chance) continue;
+      loot.push({ item: entry.item, count: entry.count });
+    }
+
+    return loot;
+  }
+
+  deplete(obj, gatherDef) {
+    if (!gatherDef.depletedVariant) {
+      this.room.removeWorldObject(obj.id);
+      return;
+    }
+
+    obj.variant = gatherDef.depletedVariant;
+    obj.interactable = false;
+
+    if (gatherDef.regrowTime) {
+      // Not synced; lets ChunkSystem catch up if the chunk was unloaded when the timer fired
+      obj.regrowAt = this.room.clock.elapsedTime + gatherDef.regrowTime * 1000;
+      this.room.clock.setTimeout(() => this.regrow(obj.id, gatherDef), gatherDef.regrowTime * 1000);
+    }
+  }
+
+  regrow(objectId, gatherDef) {
+    // The object may have been removed while waiting to regrow
+    const obj = this.room.state.worldObjects.get(objectId);
+    if (!obj) return;
+
+    obj.variant = obj.baseVariant ?? '';
+    obj.hitsLeft = gatherDef.hits;
+    obj.interactable = true;
+    obj.regrowAt = null;
+  }
+}
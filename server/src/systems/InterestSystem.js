@@ -0,0 +1,157 @@
+import { GAME_CONFIG, CHUNK_CONFIG, SpatialHash } from '@dont-starve-clone/shared';
+
+// Visibility is recomputed a few times a second rather than every tick
+const UPDATE_INTERVAL = 100; // ms
+
+// Decides which players, world objects and chunks each client receives. Entities come
+// into view within VIEW_RADIUS of the client's player and only drop out again
+// past VIEW_RADIUS + VIEW_EXIT_MARGIN, so walking along the edge doesn't flicker.
+export class InterestSystem {
+  constructor(room, options = {}) {
+    this.room = room;
+    // The radius comes from the client creating the room, so it is capped
+    this.viewRadius = Number.isFinite(options.viewRadius) && options.viewRadius > 0
+      ? Math.min(options.viewRadius, GAME_CONFIG.MAX_VIEW_RADIUS)
+      : GAME_CONFIG.VIEW_RADIUS;
+    this.exitRadius = this.viewRadius + GAME_CONFIG.VIEW_EXIT_MARGIN;
+    // World objects rarely move, so they live in a hash instead of being scanned.
+    // Other systems look up nearby objects through getObjectsNear.
+    this.objects = new SpatialHash();
+    // sessionId -> { players, objects, chunks } sets of ids currently in that client's view
+    this.visible = new Map();
+    this.elapsed = 0;
+  }
+
+  addObject(obj) {
+    this.objects.insert(obj.id, { type: 'circle', x: obj.x, z: obj.z, radius: 0 });
+  }
+
+  // World objects within `radius` of a point. Worlds can hold tens of thousands
+  // of objects, so range checks go through the hash rather than the whole state.
+  getObjectsNear(x, z, radius) {
+    const radiusSq = radius * radius;
+    const objects = [];
+
+    this.objects.query(x, z, radius).forEach((collider, objectId) => {
+      if (distanceSq(collider, { x, z }) > radiusSq) return;
+
+      const obj = this.room.state.worldObjects.get(objectId);
+      if (obj) objects.push(obj);
+    });
+
+    return objects;
+  }
+
+  // Deleting from the state already removes it from every view; just forget it
+  removeObject(objectId) {
+    this.objects.remove(objectId);
+    this.visible.forEach((visible) => visible.objects.delete(objectId));
+  }
+
+  // Unloading a chunk deletes it from the state, and so from every view
+  removeChunk(key) {
+    this.visible.forEach((visible) => visible.chunks.delete(key));
+  }
+
+  // Start tracking a client whose view already contains their own player
+  addClient(client, player) {
+    this.visible.set(client.sessionId, {
+      players: new Set([player.id]),
+      objects: new Set(),
+      chunks: new Set()
+    });
+    this.updateClient(client, player);
+  }
+
+  removePlayer(sessionId) {
+    this.visible.delete(sessionId);
+    this.visible.forEach((visible) => visible.players.delete(sessionId));
+  }
+
+  // Called once per server tick
+  update(deltaTime) {
+    this.elapsed += deltaTime * 1000;
+    if (this.elapsed < UPDATE_INTERVAL) return;
+    this.elapsed = 0;
+
+    this.room.clients.forEach((client) => {
+      const player = this.room.state.players.get(client.sessionId);
+      if (player) this.updateClient(client, player);
+    });
+  }
+
+  updateClient(client, player) {
+    const visible = this.visible.get(client.sessionId);
+    if (!visible || !client.view) return;
+
+    const enterSq = this.viewRadius * this.viewRadius;
+    const exitSq = this.exitRadius * this.exitRadius;
+
+    this.room.state.players.forEach((other, sessionId) => {
+      if (sessionId === client.sessionId) return;
+
+      const dx = other.x - player.x;
+      const dz = other.z - player.z;
+      const distSq = dx * dx + dz * dz;
+
+      if (visible.players.has(sessionId)) {
+        if (distSq > exitSq) {
+          client.view.remove(other);
+          visible.players.delete(sessionId);
+        }
+      } else if (distSq <= enterSq) {
+        client.view.add(other);
+        visible.players.add(sessionId);
+      }
+    });
+
+    const nearby = this.objects.query(player.x, player.z, this.exitRadius);
+
+    for (const objectId of visible.objects) {
+      const collider = nearby.get(objectId);
+      if (collider && distanceSq(collider, player) <= exitSq) continue;
+
+      const obj = this.room.state.worldObjects.get(objectId);
+      if (obj) client.view.remove(obj);
+      visible.objects.delete(objectId);
+    }
+
+    nearby.forEach((collider, objectId) => {
+      if (visible.objects.has(objectId) || distanceSq(collider, player) > enterSq) return;
+
+      const obj = this.room.state.worldObjects.get(objectId);
+      if (!obj) return;
+      client.view.add(obj);
+      visible.objects.add(objectId);
+    });
+
+    // Only loaded chunks are in the state, so there are never many to check
+    this.room.state.chunks.forEach((chunk, key) => {
+      const distSq = chunkDistanceSq(chunk, player);
+
+      if (visible.chunks.has(key)) {
+        if (distSq > exitSq) {
+          client.view.remove(chunk);
+          visible.chunks.delete(key);
+        }
+      } else if (distSq <= enterSq) {
+        client.view.add(chunk);
+        visible.chunks.add(key);
+      }
+    });
+  }
+}
+
+function distanceSq(collider, player) {
+  const dx = collider.x - player.x;
+  const dz = collider.z - player.z;
+  return dx * dx + dz * dz;
+}
+
+// Squared distance from the player to the nearest point of a chunk
+function chunkDistanceSq(chunk, player) {
+  const size = CHUNK_CONFIG.SIZE;
+  const dx = player.x - Math.max(chunk.cx * size, Math.min(player.x, (chunk.cx + 1) * size));
+  const dz = player.z - Math.max(chunk.cz * size, Math.min(player.z, (chunk.cz + 1) * size));
+  return dx * dx + dz * dz;
+}
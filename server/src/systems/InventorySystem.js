@@ -0,0 +1,256 @@
+import { GAME_CONFIG, ITEMS, EQUIP_SLOTS } from '@dont-starve-clone/shared';
+
+export class InventorySystem {
+  constructor(room) {
+    this.room = room;
+  }
+
+  // Add items, topping up existing stacks before using empty slots.
+  // Returns how many items did not fit.
+  addItem(player, itemId, count) {
+    const def = ITEMS[itemId];
+    if (!def || count <= 0) return count;
+
+    let remaining = count;
+
+    for (const slot of player.inventory) {
+      if (remaining === 0) break;
+      if (slot.itemId !== itemId || slot.count >= def.stackSize) continue;
+
+      const added = Math.min(def.stackSize - slot.count, remaining);
+      slot.count += added;
+      remaining -= added;
+    }
+
+    for (const slot of player.inventory) {
+      if (remaining === 0) break;
+      if (!slot.isEmpty()) continue;
+
+      const added = Math.min(def.stackSize, remaining);
+      slot.itemId = itemId;
+      slot.count = added;
+      remaining -= added;
+    }
+
+    return remaining;
+  }
+
+  // Add items, dropping whatever does not fit at the player's feet
+  giveItem(player, itemId, count) {
+    const leftover = this.addItem(player, itemId, count);
+    if (leftover > 0) {
+      this.spawnDroppedItem(itemId, leftover, player.x, player.z);
+    }
+  }
+
+  countItem(player, itemId) {
+    let total = 0;
+    for (const slot of player.inventory) {
+      if (slot.itemId === itemId) total += slot.count;
+    }
+    return total;
+  }
+
+  // Remove items from the last matching slots first. Nothing is removed
+  // unless the full amount is available.
+  removeItem(player, itemId, count) {
+    if (this.countItem(player, itemId) < count) return false;
+
+    let remaining = count;
+    for (let i = player.inventory.length - 1; i >= 0 && remaining > 0; i--) {
+      const slot = player.inventory[i];
+      if (slot.itemId !== itemId) continue;
+
+      const taken = Math.min(slot.count, remaining);
+      slot.count -= taken;
+      remaining -= taken;
+      if (slot.count === 0) slot.clear();
+    }
+
+    return true;
+  }
+
+  // Move a stack (or part of it) onto another slot. Matching items merge up to
+  // the stack size; moving a whole stack onto a different item swaps them.
+  moveItem(player, from, to, count) {
+    const source = this.getSlot(player, from);
+    const target = this.getSlot(player, to);
+    if (!source || !target || from === to || source.isEmpty()) return false;
+
+    const amount = this.clampCount(count, source.count);
+
+    if (target.isEmpty()) {
+      target.itemId = source.itemId;
+      target.count = amount;
+    } else if (target.itemId === source.itemId) {
+      const space = ITEMS[target.itemId].stackSize - target.count;
+      if (space <= 0) return false;
+
+      const moved = Math.min(space, amount);
+      target.count += moved;
+      source.count -= moved;
+      if (source.count === 0) source.clear();
+      return true;
+    } else if (amount === source.count) {
+      return this.swapSlots(player, from, to);
+    } else {
+      return false;
+    }
+
+    source.count -= amount;
+    if (source.count === 0) source.clear();
+    return true;
+  }
+
+  // Split half of a stack into the first empty slot
+  splitStack(player, index) {
+    const source = this.getSlot(player, index);
+    if (!source || source.count < 2) return false;
+
+    const emptyIndex = player.inventory.findIndex((slot) => slot.isEmpty());
+    if (emptyIndex === -1) return false;
+
+    return this.moveItem(player, index, emptyIndex, Math.floor(source.count / 2));
+  }
+
+  swapSlots(player, a, b) {
+    const slotA = this.getSlot(player, a);
+    const slotB = this.getSlot(player, b);
+    if (!slotA || !slotB || a === b) return false;
+
+    const { itemId, count } = slotA;
+    slotA.itemId = slotB.itemId;
+    slotA.count = slotB.count;
+    slotB.itemId = itemId;
+    slotB.count = count;
+    return true;
+  }
+
+  dropItem(player, index, count) {
+    const slot = this.getSlot(player, index);
+    if (!slot || slot.isEmpty()) return false;
+
+    const amount = this.clampCount(count, slot.count);
+    this.spawnDroppedItem(slot.itemId, amount, player.x, player.z);
+
+    slot.count -= amount;
+    if (slot.count === 0) slot.clear();
+    return true;
+  }
+
+  // Equip the item in an inventory slot, putting anything already worn
+  // in that equip slot back where the new item came from
+  equip(player, index) {
+    const slot = this.getSlot(player, index);
+    if (!slot || slot.isEmpty()) return false;
+
+    const equipSlotName = ITEMS[slot.itemId]?.equipSlot;
+    if (!equipSlotName) return false;
+
+    const equipped = player.equipment.get(equipSlotName);
+    const previous = { itemId: equipped.itemId, count: equipped.count };
+
+    equipped.itemId = slot.itemId;
+    equipped.count = 1;
+
+    slot.count -= 1;
+    if (slot.count === 0) slot.clear();
+
+    if (previous.count === 0) return true;
+
+    if (slot.isEmpty()) {
+      slot.itemId = previous.itemId;
+      slot.count = previous.count;
+    } else {
+      this.giveItem(player, previous.itemId, previous.count);
+    }
+    return true;
+  }
+
+  unequip(player, equipSlotName) {
+    if (!EQUIP_SLOTS.includes(equipSlotName)) return false;
+
+    const equipped = player.equipment.get(equipSlotName);
+    if (equipped.isEmpty()) return false;
+
+    this.giveItem(player, equipped.itemId, equipped.count);
+    equipped.clear();
+    return true;
+  }
+
+  // Drop every carried and worn item around the player
+  dropAll(player) {
+    for (const slot of player.inventory) {
+      if (slot.isEmpty()) continue;
+      this.spawnDroppedItem(slot.itemId, slot.count, player.x, player.z);
+      slot.clear();
+    }
+
+    player.equipment.forEach((slot) => {
+      if (slot.isEmpty()) return;
+      this.spawnDroppedItem(slot.itemId, slot.count, player.x, player.z);
+      slot.clear();
+    });
+  }
+
+  // Pick up the nearest dropped item within reach. Returns false if there
+  // was nothing to pick up.
+  pickup(player) {
+    const rangeSq = GAME_CONFIG.GATHER_RANGE * GAME_CONFIG.GATHER_RANGE;
+    let nearest = null;
+    let nearestDistSq = Infinity;
+
+    this.room.interestSystem.getObjectsNear(player.x, player.z, GAME_CONFIG.GATHER_RANGE).forEach((obj) => {
+      if (obj.type !== 'dropped_item') return;
+
+      const dx = obj.x - player.x;
+      const dz = obj.z - player.z;
+      const distSq = dx * dx + dz * dz;
+
+      if (distSq <= rangeSq && distSq < nearestDistSq) {
+        nearest = obj;
+        nearestDistSq = distSq;
+      }
+    });
+
+    if (!nearest) return false;
+
+    const leftover = this.addItem(player, nearest.itemId, nearest.itemCount);
+    if (leftover === nearest.itemCount) return false;
+
+    if (leftover > 0) {
+      nearest.itemCount = leftover;
+    } else {
+      this.room.removeWorldObject(nearest.id);
+    }
+    return true;
+  }
+
+  spawnDroppedItem(itemId, count, x, z) {
+    // Scatter drops a little so stacks don't sit exactly on top of each other
+    const angle = Math.random() * Math.PI * 2;
+    const offset = 0.3 + Math.random() * 0.5;
+
+    const obj = this.room.spawnWorldObject(
+      this.room.createObjectId('dropped_item'),
+      'dropped_item',
+      x + Math.cos(angle) * offset,
+      z + Math.sin(angle) * offset
+    );
+    obj.itemId = itemId;
+    obj.itemCount = count;
+    return obj;
+  }
+
+  getSlot(player, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= player.inventory.length) {
+      return null;
+    }
+    return player.inventory[index];
+  }
+
+  clampCount(count, available) {
+    if (!Number.isInteger(count) || count <= 0) return available;
+    return Math.min(count, available);
+  }
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player } from '../rooms/GameState.js';
+import { InventorySystem } from './InventorySystem.js';
+
+// Slot contents as [itemId, count] pairs, ignoring empty slots past the last item
+function contents(player) {
+  const slots = player.inventory.map((slot) => [slot.itemId, slot.count]);
+  while (slots.length > 0 && slots[slots.length - 1][1] === 0) slots.pop();
+  return slots;
+}
+
+function setup(...slots) {
+  const inventory = new InventorySystem(null);
+  const player = new Player();
+  slots.forEach(([itemId, count], i) => {
+    player.inventory[i].itemId = itemId;
+    player.inventory[i].count = count;
+  });
+  return { inventory, player };
+}
+
+test('addItem tops up existing stacks before using empty slots', () => {
+  const { inventory, player } = setup(['log', 18], ['flint', 3]);
+
+  assert.equal(inventory.addItem(player, 'log', 5), 0);
+  assert.deepEqual(contents(player), [['log', 20], ['flint', 3], ['log', 3]]);
+});
+
+test('addItem returns what did not fit', () => {
+  const { inventory, player } = setup();
+  player.inventory.forEach((slot) => {
+    slot.itemId = 'stones';
+    slot.count = 20;
+  });
+  player.inventory[0].count = 19;
+
+  assert.equal(inventory.addItem(player, 'stones', 4), 3);
+  assert.equal(inventory.addItem(player, 'unknown_item', 4), 4);
+});
+
+test('moveItem merges matching stacks up to the stack size', () => {
+  const { inventory, player } = setup(['log', 15], ['log', 10]);
+
+  assert.equal(inventory.moveItem(player, 0, 1), true);
+  assert.deepEqual(contents(player), [['log', 5], ['log', 20]]);
+
+  // The target is full now
+  assert.equal(inventory.moveItem(player, 0, 1), false);
+});
+
+test('moveItem swaps a whole stack with a different item', () => {
+  const { inventory, player } = setup(['log', 4], ['flint', 2]);
+
+  assert.equal(inventory.moveItem(player, 0, 1), true);
+  assert.deepEqual(contents(player), [['flint', 2], ['log', 4]]);
+
+  // Part of a stack can't be swapped
+  assert.equal(inventory.moveItem(player, 0, 1, 1), false);
+  assert.deepEqual(contents(player), [['flint', 2], ['log', 4]]);
+});
+
+test('moveItem moves part of a stack into an empty slot', () => {
+  const { inventory, player } = setup(['berries', 7]);
+
+  assert.equal(inventory.moveItem(player, 0, 2, 3), true);
+  assert.deepEqual(contents(player), [['berries', 4], ['', 0], ['berries', 3]]);
+});
+
+test('splitStack moves half into the first empty slot', () => {
+  const { inventory, player } = setup(['cut_grass', 9], ['log', 1]);
+
+  assert.equal(inventory.splitStack(player, 0), true);
+  assert.deepEqual(contents(player), [['cut_grass', 5], ['log', 1], ['cut_grass', 4]]);
+
+  // A single item can't be split
+  assert.equal(inventory.splitStack(player, 1), false);
+});
+
+test('swapSlots rejects bad indices', () => {
+  const { inventory, player } = setup(['log', 1], ['flint', 1]);
+
+  assert.equal(inventory.swapSlots(player, 0, 1), true);
+  assert.deepEqual(contents(player), [['flint', 1], ['log', 1]]);
+  assert.equal(inventory.swapSlots(player, 0, 0), false);
+  assert.equal(inventory.swapSlots(player, 0, player.inventory.length), false);
+  assert.equal(inventory.swapSlots(player, 0, 1.5), false);
+});
+
+test('removeItem takes nothing unless the full amount is there', () => {
+  const { inventory, player } = setup(['log', 3], ['flint', 1], ['log', 2]);
+
+  assert.equal(inventory.removeItem(player, 'log', 6), false);
+  assert.deepEqual(contents(player), [['log', 3], ['flint', 1], ['log', 2]]);
+
+  // Later slots are used up first
+  assert.equal(inventory.removeItem(player, 'log', 4), true);
+  assert.deepEqual(contents(player), [['log', 1], ['flint', 1]]);
+});
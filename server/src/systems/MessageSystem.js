@@ -0,0 +1,238 @@
+import {
+  GAME_CONFIG,
+  MESSAGE_TYPES,
+  INVENTORY_SIZE,
+  EQUIP_SLOTS,
+  RECIPES,
+  CHAT_CONFIG,
+  PLAYER_CHAT_CHANNELS,
+  EMOTE_IDS
+} from '@dont-starve-clone/shared';
+
+// Payload schemas for every message a client may send. Each field is
+// { type: 'integer' | 'number' | 'string', min, max, maxLength, oneOf, optional };
+// payloads with missing, extra or out-of-range fields are dropped.
+const SEQ = { type: 'integer', min: 0, max: Number.MAX_SAFE_INTEGER };
+// Keyboard diagonals are √2 long, so allow a little past 1 per axis
+const DIRECTION = { type: 'number', min: -2, max: 2 };
+const SLOT = { type: 'integer', min: 0, max: INVENTORY_SIZE - 1 };
+const COUNT = { type: 'integer', min: 1, max: 999, optional: true };
+
+const MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.MOVE]: { seq: SEQ, dirX: DIRECTION, dirZ: DIRECTION },
+  [MESSAGE_TYPES.STOP]: { seq: SEQ },
+  [MESSAGE_TYPES.ACTION]: {},
+  [MESSAGE_TYPES.INVENTORY_MOVE]: { from: SLOT, to: SLOT, count: COUNT },
+  [MESSAGE_TYPES.INVENTORY_SPLIT]: { slot: SLOT },
+  [MESSAGE_TYPES.INVENTORY_SWAP]: { a: SLOT, b: SLOT },
+  [MESSAGE_TYPES.INVENTORY_DROP]: { slot: SLOT, count: COUNT },
+  [MESSAGE_TYPES.EQUIP]: { slot: SLOT },
+  [MESSAGE_TYPES.UNEQUIP]: { equipSlot: { type: 'string', oneOf: EQUIP_SLOTS } },
+  [MESSAGE_TYPES.CRAFT]: { recipeId: { type: 'string', oneOf: Object.keys(RECIPES) } },
+  [MESSAGE_TYPES.EAT]: { slot: SLOT },
+  [MESSAGE_TYPES.REVIVE]: { slot: SLOT },
+  [MESSAGE_TYPES.CHAT]: {
+    channel: { type: 'string', oneOf: PLAYER_CHAT_CHANNELS },
+    text: { type: 'string', maxLength: CHAT_CONFIG.MAX_LENGTH }
+  },
+  [MESSAGE_TYPES.EMOTE]: { emote: { type: 'string', oneOf: EMOTE_IDS } }
+};
+
+// Token buckets per message type: `burst` messages at once, refilled at `perSecond`.
+// Movement is one message per simulation step, with headroom for timer jitter.
+const RATE_LIMITS = {
+  [MESSAGE_TYPES.MOVE]: { burst: GAME_CONFIG.TICK_RATE / 2, perSecond: GAME_CONFIG.TICK_RATE * 1.5 },
+  [MESSAGE_TYPES.STOP]: { burst: GAME_CONFIG.TICK_RATE / 2, perSecond: GAME_CONFIG.TICK_RATE * 1.5 },
+  [MESSAGE_TYPES.ACTION]: { burst: 10, perSecond: 10 },
+  [MESSAGE_TYPES.CRAFT]: { burst: 5, perSecond: 2 },
+  // Only catches floods; ChatSystem's slow mode tells people to wait before this kicks in
+  [MESSAGE_TYPES.CHAT]: { burst: 10, perSecond: 2 },
+  [MESSAGE_TYPES.EMOTE]: { burst: 3, perSecond: 1 }
+};
+const DEFAULT_RATE_LIMIT = { burst: 20, perSecond: 10 };
+
+// Every dropped message is a strike. Strikes reset after a quiet window; enough
+// of them in one window gets a warning, and more gets the client kicked.
+const STRIKE_WINDOW = 10000; // ms
+const WARN_STRIKES = 20;
+const KICK_STRIKES = 100;
+
+// Checks every client message against its schema and rate limit before the room
+// handles it, escalating from dropping messages to warning and then kicking the
+// client. Counters are kept per client and for the whole room, see getStats().
+export class MessageSystem {
+  constructor(room) {
+    this.room = room;
+    // sessionId -> { buckets, strikes, windowStart, warned, kicked, stats }
+    this.clients = new Map();
+    this.totals = createStats();
+    this.totals.kicks = 0;
+  }
+
+  // Returns true if the room should handle the message
+  accept(client, type, data) {
+    const record = this.getRecord(client.sessionId);
+    if (record.kicked) return false;
+
+    countReceived(record.stats, type);
+    countReceived(this.totals, type);
+
+    if (!this.takeToken(record, type)) {
+      this.drop(client, record, type, 'rateLimited', `rate limit exceeded for "${type}"`);
+      return false;
+    }
+
+    const error = validate(MESSAGE_SCHEMAS[type], data);
+    if (error) {
+      this.drop(client, record, type, 'invalid', `invalid "${type}" message: ${error}`);
+      return false;
+    }
+
+    record.stats.accepted++;
+    this.totals.accepted++;
+    return true;
+  }
+
+  // Messages of a type the room doesn't handle
+  reject(client, type) {
+    const record = this.getRecord(client.sessionId);
+    if (record.kicked) return;
+
+    countReceived(record.stats, type);
+    countReceived(this.totals, type);
+    this.drop(client, record, type, 'invalid', `unknown message type "${type}"`);
+  }
+
+  removeClient(sessionId) {
+    this.clients.delete(sessionId);
+  }
+
+  // Snapshot of the counters, e.g. for logging or an admin endpoint
+  getStats() {
+    const clients = {};
+    this.clients.forEach((record, sessionId) => {
+      clients[sessionId] = { ...record.stats, strikes: record.strikes, kicked: record.kicked };
+    });
+    return { totals: structuredClone(this.totals), clients: structuredClone(clients) };
+  }
+
+  getRecord(sessionId) {
+    let record = this.clients.get(sessionId);
+    if (!record) {
+      record = { buckets: new Map(), strikes: 0, windowStart: 0, warned: false, kicked: false, stats: createStats() };
+      this.clients.set(sessionId, record);
+    }
+    return record;
+  }
+
+  takeToken(record, type) {
+    const limit = RATE_LIMITS[type] ?? DEFAULT_RATE_LIMIT;
+    const now = this.room.clock.elapsedTime;
+
+    let bucket = record.buckets.get(type);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      record.buckets.set(type, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens--;
+    return true;
+  }
+
+  // `kind` is the counter to bump: 'invalid' or 'rateLimited'
+  drop(client, record, type, kind, reason) {
+    for (const stats of [record.stats, this.totals]) {
+      stats[kind]++;
+      stats.byType[typeKey(type)].dropped++;
+    }
+    this.strike(client, record, reason);
+  }
+
+  strike(client, record, reason) {
+    const now = this.room.clock.elapsedTime;
+    if (now - record.windowStart > STRIKE_WINDOW) {
+      record.windowStart = now;
+      record.strikes = 0;
+      record.warned = false;
+    }
+    record.strikes++;
+
+    if (record.strikes >= KICK_STRIKES) {
+      console.log(`🚫 ${client.sessionId} broke the message limits: ${reason}`);
+      record.kicked = true;
+      this.totals.kicks++;
+      this.room.kick(client.sessionId, 'Too many invalid messages');
+    } else if (record.strikes >= WARN_STRIKES && !record.warned) {
+      console.log(`⚠️ Warning ${client.sessionId}: ${reason}`);
+      record.warned = true;
+      record.stats.warnings++;
+      this.totals.warnings++;
+      client.send(MESSAGE_TYPES.WARNING, { reason });
+    }
+  }
+}
+
+function createStats() {
+  return { received: 0, accepted: 0, invalid: 0, rateLimited: 0, warnings: 0, byType: {} };
+}
+
+// Unknown types come from the client, so don't let them grow the table forever
+function typeKey(type) {
+  return Object.hasOwn(MESSAGE_SCHEMAS, type) ? type : 'unknown';
+}
+
+function countReceived(stats, type) {
+  const key = typeKey(type);
+  stats.received++;
+  stats.byType[key] ??= { received: 0, dropped: 0 };
+  stats.byType[key].received++;
+}
+
+// Returns an error string, or null if `data` matches `schema`
+function validate(schema, data) {
+  if (!schema) return 'no schema';
+
+  // Messages without fields may be sent without a payload
+  if (data === undefined || data === null) data = {};
+  if (typeof data !== 'object' || Array.isArray(data)) return 'payload must be an object';
+
+  for (const key of Object.keys(data)) {
+    if (!Object.hasOwn(schema, key)) return `unexpected field "${key}"`;
+  }
+
+  for (const [key, field] of Object.entries(schema)) {
+    const value = data[key];
+    if (value === undefined || value === null) {
+      if (field.optional) continue;
+      return `missing field "${key}"`;
+    }
+
+    const error = validateField(field, value);
+    if (error) return `"${key}" ${error}`;
+  }
+
+  return null;
+}
+
+function validateField(field, value) {
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a finite number';
+      if (field.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+      if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (field.maxLength !== undefined && value.length > field.maxLength) return 'is too long';
+      if (field.oneOf && !field.oneOf.includes(value)) return 'is not an allowed value';
+      return null;
+    default:
+      return 'has an unknown schema type';
+  }
+}
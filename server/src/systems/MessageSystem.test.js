@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MESSAGE_TYPES } from '@dont-starve-clone/shared';
+import { MessageSystem } from './MessageSystem.js';
+
+// A room whose clock only moves when the test says so
+function setup() {
+  const room = {
+    clock: { elapsedTime: 0 },
+    kicked: [],
+    kick(sessionId) {
+      this.kicked.push(sessionId);
+    }
+  };
+  const client = {
+    sessionId: 'abc',
+    sent: [],
+    send(type, data) {
+      this.sent.push({ type, data });
+    }
+  };
+  return { room, client, messages: new MessageSystem(room) };
+}
+
+test('payloads matching the schema are accepted', () => {
+  const { client, messages } = setup();
+
+  assert.equal(messages.accept(client, MESSAGE_TYPES.MOVE, { seq: 1, dirX: 0.5, dirZ: -1 }), true);
+  assert.equal(messages.accept(client, MESSAGE_TYPES.INVENTORY_MOVE, { from: 0, to: 3 }), true);
+  assert.equal(messages.accept(client, MESSAGE_TYPES.UNEQUIP, { equipSlot: 'hand' }), true);
+  assert.equal(messages.accept(client, MESSAGE_TYPES.CRAFT, { recipeId: 'axe' }), true);
+  // Messages without fields don't need a payload
+  assert.equal(messages.accept(client, MESSAGE_TYPES.ACTION, undefined), true);
+});
+
+test('malformed payloads are dropped', () => {
+  const { client, messages } = setup();
+  const invalid = [
+    [MESSAGE_TYPES.MOVE, { seq: 1, dirX: 0 }],
+    [MESSAGE_TYPES.MOVE, { seq: 1, dirX: 0, dirZ: 0, speed: 100 }],
+    [MESSAGE_TYPES.MOVE, { seq: 1.5, dirX: 0, dirZ: 0 }],
+    [MESSAGE_TYPES.MOVE, { seq: 1, dirX: 3, dirZ: 0 }],
+    [MESSAGE_TYPES.MOVE, { seq: 1, dirX: NaN, dirZ: 0 }],
+    [MESSAGE_TYPES.MOVE, { seq: '1', dirX: 0, dirZ: 0 }],
+    [MESSAGE_TYPES.MOVE, [1, 0, 0]],
+    [MESSAGE_TYPES.INVENTORY_DROP, { slot: -1 }],
+    [MESSAGE_TYPES.UNEQUIP, { equipSlot: 'tail' }],
+    [MESSAGE_TYPES.CRAFT, { recipeId: 'constructor' }],
+    [MESSAGE_TYPES.CRAFT, { recipeId: 'x'.repeat(10000) }],
+    [MESSAGE_TYPES.ACTION, 'jump']
+  ];
+
+  for (const [type, data] of invalid) {
+    assert.equal(messages.accept(client, type, data), false, `${type} ${JSON.stringify(data)}`);
+  }
+  assert.equal(messages.getStats().totals.invalid, invalid.length);
+});
+
+test('unknown message types are counted together', () => {
+  const { client, messages } = setup();
+
+  messages.reject(client, 'teleport');
+  messages.reject(client, 'fly');
+
+  const { totals } = messages.getStats();
+  assert.deepEqual(totals.byType.unknown, { received: 2, dropped: 2 });
+  assert.equal(totals.byType.teleport, undefined);
+});
+
+test('each message type has its own token bucket', () => {
+  const { room, client, messages } = setup();
+  const craft = () => messages.accept(client, MESSAGE_TYPES.CRAFT, { recipeId: 'rope' });
+
+  // Burst of 5, then 2 per second
+  for (let i = 0; i < 5; i++) assert.equal(craft(), true);
+  assert.equal(craft(), false);
+  assert.equal(messages.accept(client, MESSAGE_TYPES.ACTION), true);
+
+  room.clock.elapsedTime += 1000;
+  assert.equal(craft(), true);
+  assert.equal(craft(), true);
+  assert.equal(craft(), false);
+  assert.equal(messages.getStats().clients.abc.rateLimited, 2);
+});
+
+test('repeated strikes warn and then kick the client', () => {
+  const { room, client, messages } = setup();
+  const strike = () => messages.accept(client, MESSAGE_TYPES.MOVE, {});
+
+  for (let i = 0; i < 20; i++) strike();
+  assert.deepEqual(client.sent.map((message) => message.type), [MESSAGE_TYPES.WARNING]);
+
+  for (let i = 0; i < 79; i++) strike();
+  assert.deepEqual(room.kicked, []);
+
+  strike();
+  assert.deepEqual(room.kicked, ['abc']);
+  assert.equal(messages.accept(client, MESSAGE_TYPES.ACTION), false);
+  assert.equal(messages.getStats().totals.kicks, 1);
+});
+
+test('strikes are forgiven after a quiet window', () => {
+  const { room, client, messages } = setup();
+  const strike = () => messages.accept(client, MESSAGE_TYPES.MOVE, {});
+
+  for (let i = 0; i < 19; i++) strike();
+  room.clock.elapsedTime += 10001;
+  for (let i = 0; i < 19; i++) strike();
+
+  assert.deepEqual(client.sent, []);
+  assert.equal(messages.getStats().clients.abc.strikes, 19);
+});
+
+test('removeClient forgets the client', () => {
+  const { client, messages } = setup();
+
+  for (let i = 0; i < 5; i++) messages.accept(client, MESSAGE_TYPES.CRAFT, { recipeId: 'rope' });
+  messages.removeClient('abc');
+
+  assert.equal(messages.accept(client, MESSAGE_TYPES.CRAFT, { recipeId: 'rope' }), true);
+  assert.equal(messages.getStats().clients.abc.received, 1);
+});
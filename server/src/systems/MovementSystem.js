@@ -0,0 +1,86 @@
+import { stepMovement } from '@dont-starve-clone/shared';
+
+// Inputs a client may bank while its messages are delayed; more than this and
+// they are moving faster than real time
+const MAX_INPUT_BUDGET = 6;
+const MAX_QUEUED_INPUTS = 30;
+
+export class MovementSystem {
+  constructor(room) {
+    this.room = room;
+    // Per-player queues of { seq, dirX, dirZ }, applied one fixed step each
+    this.inputQueues = new Map();
+    this.inputBudgets = new Map();
+  }
+
+  queueInput(player, seq, dirX, dirZ) {
+    // Inputs without a sequence number can't be acknowledged
+    if (!Number.isFinite(seq)) return;
+
+    let queue = this.inputQueues.get(player.id);
+    if (!queue) {
+      queue = [];
+      this.inputQueues.set(player.id, queue);
+    }
+
+    // A client flooding inputs loses the oldest ones; reconciliation catches it up
+    if (queue.length >= MAX_QUEUED_INPUTS) queue.shift();
+    queue.push({ seq, dirX, dirZ });
+  }
+
+  removePlayer(playerId) {
+    this.inputQueues.delete(playerId);
+    this.inputBudgets.delete(playerId);
+  }
+
+  // Called once per server tick
+  update() {
+    this.room.collisionSystem.syncPlayers();
+
+    this.room.state.players.forEach((player) => {
+      // One input per tick on average, with a little slack for jittery connections
+      const budget = Math.min(MAX_INPUT_BUDGET, (this.inputBudgets.get(player.id) ?? 0) + 1);
+      const queue = this.inputQueues.get(player.id);
+      let used = 0;
+
+      while (queue?.length > 0 && used < budget) {
+        this.applyInput(player, queue.shift());
+        used++;
+      }
+
+      // Nothing arrived in time for this tick, so the player isn't moving right now
+      if (used === 0) {
+        player.velocityX = 0;
+        player.velocityZ = 0;
+      }
+
+      this.inputBudgets.set(player.id, budget - used);
+    });
+  }
+
+  // The same step client prediction runs, see shared/movement.js
+  applyInput(player, input) {
+    player.lastInputSeq = input.seq;
+
+    const result = stepMovement(player, input, {
+      colliders: this.room.collisionSystem.getColliders(),
+      width: this.room.state.worldWidth,
+      height: this.room.state.worldHeight
+    });
+
+    player.velocityX = result.velocityX;
+    player.velocityZ = result.velocityZ;
+
+    if (!result.moving) {
+      if (player.state === 'walking') player.state = 'idle';
+      return;
+    }
+
+    player.x = result.x;
+    player.z = result.z;
+    player.rotation = result.rotation;
+    player.state = 'walking';
+
+    this.room.collisionSystem.updatePlayer(player);
+  }
+}
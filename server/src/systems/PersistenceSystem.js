@@ -0,0 +1,213 @@
+import { GAME_MODES } from '@dont-starve-clone/shared';
+import { isValidWorldId, readSave, writeSave } from '../persistence/SaveStore.js';
+
+// Persistent worlds are written to disk this often while the room is open
+const AUTOSAVE_INTERVAL = 60000; // ms
+
+// World ids with a room open, so two rooms never write the same save
+const openWorlds = new Set();
+
+// Saves a room's world to disk and restores it when a room is
+// created with the same `worldId`. Rooms without a world id aren't persisted.
+// A save holds the world's settings, worldTime, every generated chunk with its
+// objects, and the character of every player who has played there, keyed by
+// their identity (see persistence/Identity.js). Guests aren't saved.
+export class PersistenceSystem {
+  constructor(room) {
+    this.room = room;
+    this.worldId = null;
+    // Player identity -> saved data, for players who have left
+    this.players = new Map();
+    // Lowercase name -> saved data for characters from saves made before
+    // identities, each claimed by the first player to join with that name
+    this.unclaimed = new Map();
+    this.elapsed = 0;
+    // Saves are queued so they are written one at a time
+    this.saving = Promise.resolve();
+  }
+
+  // Claim a world id for this room. Returns its save, or null for a new world.
+  async open(worldId) {
+    if (!isValidWorldId(worldId)) {
+      throw new Error(`Invalid world id "${worldId}"`);
+    }
+    if (openWorlds.has(worldId)) {
+      throw new Error(`World "${worldId}" is already open in another room`);
+    }
+
+    openWorlds.add(worldId);
+    this.worldId = worldId;
+
+    try {
+      return await readSave(worldId);
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  close() {
+    if (this.worldId) openWorlds.delete(this.worldId);
+  }
+
+  // Room options that recreate a saved world's map
+  getWorldOptions(save) {
+    const { map, generator, width, gameMode } = save.world;
+    return generator
+      ? { map, preset: generator.preset, seed: generator.seed, worldSize: width, gameMode }
+      : { map, gameMode };
+  }
+
+  // Called after the world's map is loaded
+  restore(save) {
+    this.room.state.worldTime = save.world.worldTime;
+    this.room.objectIdCounter = save.world.objectIdCounter;
+    this.room.chunkSystem.restore(save.chunks);
+
+    for (const [identity, data] of Object.entries(save.players)) {
+      this.players.set(identity, data);
+    }
+    for (const [name, data] of Object.entries(save.unclaimed)) {
+      this.unclaimed.set(name, data);
+    }
+
+    console.log(`💾 Restored world "${this.worldId}" (${save.chunks.length} chunks, ${this.players.size} players)`);
+  }
+
+  // Give a joining player their saved character. Returns false if they're new
+  // here or a guest.
+  restorePlayer(player) {
+    if (!this.worldId || !player.identity) return false;
+
+    const data = this.players.get(player.identity) ?? this.claim(player);
+    if (!data) return false;
+
+    player.x = data.x;
+    player.z = data.z;
+    player.rotation = data.rotation;
+    player.health = data.health;
+    player.hunger = data.hunger;
+    player.sanity = data.sanity;
+    player.isGhost = data.isGhost;
+
+    data.inventory.forEach((slot, index) => {
+      const target = player.inventory[index];
+      if (!target) return;
+      target.itemId = slot.itemId;
+      target.count = slot.count;
+    });
+
+    for (const [name, slot] of Object.entries(data.equipment)) {
+      const target = player.equipment.get(name);
+      if (!target) continue;
+      target.itemId = slot.itemId;
+      target.count = slot.count;
+    }
+
+    player.knownRecipes.push(...data.knownRecipes);
+
+    // Ghosts wait out a fresh respawn delay
+    if (player.isGhost && this.room.state.gameMode === GAME_MODES.SURVIVAL_LITE) {
+      this.room.deathSystem.scheduleRespawn(player);
+    }
+
+    return true;
+  }
+
+  // Remember a leaving player's character for when they come back
+  storePlayer(player) {
+    if (!this.worldId || !player.identity) return;
+    this.players.set(player.identity, this.serializePlayer(player));
+  }
+
+  // Hand an old name-keyed character to the player now using that name
+  claim(player) {
+    const name = player.name.toLowerCase();
+    const data = this.unclaimed.get(name);
+    if (!data) return null;
+
+    this.unclaimed.delete(name);
+    this.players.set(player.identity, data);
+    console.log(`💾 "${player.name}" claimed their character in world "${this.worldId}"`);
+    return data;
+  }
+
+  serializePlayer(player) {
+    const equipment = {};
+    player.equipment.forEach((slot, name) => {
+      equipment[name] = { itemId: slot.itemId, count: slot.count };
+    });
+
+    return {
+      name: player.name,
+      x: player.x,
+      z: player.z,
+      rotation: player.rotation,
+      health: player.health,
+      hunger: player.hunger,
+      sanity: player.sanity,
+      isGhost: player.isGhost,
+      inventory: player.inventory.map((slot) => ({ itemId: slot.itemId, count: slot.count })),
+      equipment,
+      knownRecipes: [...player.knownRecipes]
+    };
+  }
+
+  // Called once per server tick
+  update(deltaTime) {
+    if (!this.worldId) return;
+
+    this.elapsed += deltaTime * 1000;
+    if (this.elapsed < AUTOSAVE_INTERVAL) return;
+    this.elapsed = 0;
+
+    this.save();
+  }
+
+  // The snapshot is taken straight away; the write happens after any save already in progress
+  save() {
+    if (!this.worldId) return Promise.resolve(false);
+
+    const { worldId } = this;
+    const save = this.serialize();
+
+    this.saving = this.saving.then(async () => {
+      try {
+        await writeSave(worldId, save);
+        console.log(`💾 Saved world "${worldId}"`);
+        return true;
+      } catch (error) {
+        console.error(`⚠️ Could not save world "${worldId}": ${error.message}`);
+        return false;
+      }
+    });
+    return this.saving;
+  }
+
+  serialize() {
+    const { room } = this;
+    const players = Object.fromEntries(this.players);
+
+    // Players still in the room are saved as they are now
+    room.state.players.forEach((player) => {
+      if (player.identity) players[player.identity] = this.serializePlayer(player);
+    });
+
+    return {
+      worldId: this.worldId,
+      savedAt: new Date().toISOString(),
+      world: {
+        map: room.mapId,
+        generator: room.chunkSystem.generator,
+        width: room.map.width,
+        height: room.map.height,
+        gameMode: room.state.gameMode,
+        worldTime: room.state.worldTime,
+        objectIdCounter: room.objectIdCounter
+      },
+      chunks: room.chunkSystem.serialize(),
+      players,
+      unclaimed: Object.fromEntries(this.unclaimed)
+    };
+  }
+}
@@ -0,0 +1,111 @@
+import { ITEMS, STAT_CONFIG, WORLD_OBJECT_TYPES } from '@dont-starve-clone/shared';
+
+// How far isInLight has to look for light sources
+const MAX_LIGHT_RADIUS = Math.max(0, ...Object.values(WORLD_OBJECT_TYPES).map((def) => def.lightRadius ?? 0));
+
+export class StatsSystem {
+  constructor(room, config = STAT_CONFIG) {
+    this.room = room;
+    this.config = config;
+    this.elapsed = 0;
+  }
+
+  update(deltaTime) {
+    // Stats are applied in coarse steps so they don't generate a patch every tick
+    this.elapsed += deltaTime;
+    if (this.elapsed < this.config.UPDATE_INTERVAL) return;
+
+    const step = this.elapsed;
+    this.elapsed = 0;
+
+    this.room.state.players.forEach((player) => {
+      if (player.isGhost) return;
+      this.updatePlayer(player, step);
+    });
+  }
+
+  updatePlayer(player, step) {
+    const config = this.config;
+    const dayPhase = this.room.state.dayPhase;
+
+    // Hunger
+    player.hunger = this.clamp(player.hunger - config.HUNGER_DRAIN * step);
+
+    // Health: starving hurts, a full stomach heals
+    if (player.hunger <= 0) {
+      player.health = this.clamp(player.health - config.STARVING_HEALTH_DRAIN * step);
+    } else if (player.hunger >= config.WELL_FED_THRESHOLD) {
+      player.health = this.clamp(player.health + config.WELL_FED_HEALTH_REGEN * step);
+    }
+
+    // Sanity
+    let sanityChange = -(config.SANITY_DRAIN[dayPhase] ?? 0);
+    if (dayPhase === 'night' && !this.isInLight(player)) {
+      sanityChange -= config.DARKNESS_SANITY_DRAIN;
+    }
+    if (this.isNearCampfire(player)) {
+      sanityChange += config.CAMPFIRE_SANITY_REGEN;
+    }
+    player.sanity = this.clamp(player.sanity + sanityChange * step);
+
+    if (player.health <= 0) {
+      this.room.deathSystem.kill(player, player.hunger <= 0 ? 'starvation' : 'unknown');
+    }
+  }
+
+  // Eat the food in an inventory slot. Returns false if the slot holds no food.
+  eat(player, index) {
+    const slot = this.room.inventorySystem.getSlot(player, index);
+    if (!slot || slot.isEmpty()) return false;
+
+    const food = ITEMS[slot.itemId]?.food;
+    if (!food) return false;
+
+    slot.count -= 1;
+    if (slot.count === 0) slot.clear();
+
+    player.hunger = this.clamp(player.hunger + (food.hunger || 0));
+    player.health = this.clamp(player.health + (food.health || 0));
+    player.sanity = this.clamp(player.sanity + (food.sanity || 0));
+    return true;
+  }
+
+  isInLight(player) {
+    const heldItem = player.equipment.get('hand')?.itemId;
+    if (ITEMS[heldItem]?.lightRadius) return true;
+
+    let lit = false;
+    this.room.interestSystem.getObjectsNear(player.x, player.z, MAX_LIGHT_RADIUS).forEach((obj) => {
+      if (lit) return;
+
+      const radius = WORLD_OBJECT_TYPES[obj.type]?.lightRadius;
+      if (!radius) return;
+
+      const dx = obj.x - player.x;
+      const dz = obj.z - player.z;
+      lit = dx * dx + dz * dz <= radius * radius;
+    });
+
+    return lit;
+  }
+
+  // Within the light of a campfire
+  isNearCampfire(player) {
+    const radius = WORLD_OBJECT_TYPES.campfire.lightRadius;
+    let near = false;
+
+    this.room.interestSystem.getObjectsNear(player.x, player.z, radius).forEach((obj) => {
+      if (near || obj.type !== 'campfire') return;
+
+      const dx = obj.x - player.x;
+      const dz = obj.z - player.z;
+      near = dx * dx + dz * dz <= radius * radius;
+    });
+
+    return near;
+  }
+
+  clamp(value) {
+    return Math.max(0, Math.min(this.config.MAX, value));
+  }
+}
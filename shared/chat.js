@@ -0,0 +1,23 @@
+// Chat limits and channels. The client trims messages to MAX_LENGTH as you
+// type; the server checks again and applies the slow mode.
+
+export const CHAT_CONFIG = {
+  MAX_LENGTH: 200,
+  // Proximity messages reach players within this distance of the speaker
+  PROXIMITY_RADIUS: 20,
+  // Slow mode: at most RATE_LIMIT_MESSAGES in any RATE_LIMIT_WINDOW
+  RATE_LIMIT_MESSAGES: 5,
+  RATE_LIMIT_WINDOW: 10000, // ms
+  // How long /mute lasts without a duration
+  DEFAULT_MUTE_MINUTES: 10
+};
+
+export const CHAT_CHANNELS = {
+  GLOBAL: 'global',
+  PROXIMITY: 'proximity',
+  // Replies from the server, e.g. to slash commands; players can't send on it
+  SYSTEM: 'system'
+};
+
+// The channels a player can talk on
+export const PLAYER_CHAT_CHANNELS = [CHAT_CHANNELS.GLOBAL, CHAT_CHANNELS.PROXIMITY];
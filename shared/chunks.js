@@ -0,0 +1,31 @@
+// Worlds are split into square chunks that are loaded, simulated and streamed
+// to clients only while a player is nearby. Chunk (cx, cz) covers
+// [cx * SIZE, (cx + 1) * SIZE) on x and the same on z.
+
+export const CHUNK_CONFIG = {
+  // World units per chunk side
+  SIZE: 32,
+  // Ground tiles per chunk side, so each tile is SIZE / GROUND_TILES units
+  GROUND_TILES: 8
+};
+
+// Ground types a chunk tile can have; the client paints tiles with these colours.
+// Map ground layers may use other names, which are drawn as DEFAULT_GROUND.
+export const GROUND_TYPES = {
+  grass: { color: '#4a7c45' },
+  forest_floor: { color: '#3b6134' },
+  dirt: { color: '#7a6345' },
+  rocky: { color: '#6f6f62' },
+  sand: { color: '#c2b280' },
+  water: { color: '#3a6ea5' }
+};
+
+export const DEFAULT_GROUND = 'grass';
+
+export function chunkCoord(value) {
+  return Math.floor(value / CHUNK_CONFIG.SIZE);
+}
+
+export function chunkKey(cx, cz) {
+  return `${cx},${cz}`;
+}
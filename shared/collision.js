@@ -0,0 +1,165 @@
+// Circle/rect collision shared by the server simulation and client prediction.
+// Positions are on the ground plane (x, z).
+
+export const COLLISION_CONFIG = {
+  PLAYER_RADIUS: 0.4,
+  // Spatial hash cell size; a bit larger than the biggest common collider
+  CELL_SIZE: 4,
+  // Resolving against one collider can push into another, so repeat a few times
+  RESOLVE_ITERATIONS: 3
+};
+
+// Buckets colliders by grid cell so only nearby ones are tested.
+// Colliders are { type: 'circle', x, z, radius } or { type: 'rect', x, z, halfWidth, halfHeight }.
+export class SpatialHash {
+  constructor(cellSize = COLLISION_CONFIG.CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    // id -> { collider, keys } so colliders can be removed without searching
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  insert(id, collider) {
+    this.remove(id);
+
+    const keys = this.cellKeysForBounds(collider.x, collider.z, ...getExtents(collider));
+    for (const key of keys) {
+      if (!this.cells.has(key)) this.cells.set(key, new Map());
+      this.cells.get(key).set(id, collider);
+    }
+
+    this.entries.set(id, { collider, keys });
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    for (const key of entry.keys) {
+      const cell = this.cells.get(key);
+      cell.delete(id);
+      if (cell.size === 0) this.cells.delete(key);
+    }
+
+    this.entries.delete(id);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  // Colliders whose cells overlap the given circle, each returned once
+  query(x, z, radius) {
+    const found = new Map();
+
+    for (const key of this.cellKeysForBounds(x, z, radius, radius)) {
+      const cell = this.cells.get(key);
+      if (!cell) continue;
+      for (const [id, collider] of cell) {
+        found.set(id, collider);
+      }
+    }
+
+    return found;
+  }
+
+  cellKeysForBounds(x, z, halfWidth, halfHeight) {
+    const minX = Math.floor((x - halfWidth) / this.cellSize);
+    const maxX = Math.floor((x + halfWidth) / this.cellSize);
+    const minZ = Math.floor((z - halfHeight) / this.cellSize);
+    const maxZ = Math.floor((z + halfHeight) / this.cellSize);
+
+    const keys = [];
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        keys.push(`${cx},${cz}`);
+      }
+    }
+    return keys;
+  }
+}
+
+// Push a circle out of every collider it overlaps. Only the overlapping part of
+// the movement is removed, so a player walking into a tree at an angle slides around it.
+export function resolveCollisions(x, z, radius, hashes, ignoreId = null) {
+  let resolvedX = x;
+  let resolvedZ = z;
+
+  for (let i = 0; i < COLLISION_CONFIG.RESOLVE_ITERATIONS; i++) {
+    let moved = false;
+
+    for (const hash of hashes) {
+      for (const [id, collider] of hash.query(resolvedX, resolvedZ, radius)) {
+        if (id === ignoreId) continue;
+
+        const push = getPushOut(resolvedX, resolvedZ, radius, collider);
+        if (push) {
+          resolvedX += push.x;
+          resolvedZ += push.z;
+          moved = true;
+        }
+      }
+    }
+
+    if (!moved) break;
+  }
+
+  return { x: resolvedX, z: resolvedZ };
+}
+
+// Smallest offset that moves the circle out of the collider, or null if they don't overlap
+export function getPushOut(x, z, radius, collider) {
+  // Closest point on the collider to the circle centre
+  let closestX = collider.x;
+  let closestZ = collider.z;
+  let minDistance = radius;
+
+  if (collider.type === 'circle') {
+    minDistance += collider.radius;
+  } else {
+    closestX = clamp(x, collider.x - collider.halfWidth, collider.x + collider.halfWidth);
+    closestZ = clamp(z, collider.z - collider.halfHeight, collider.z + collider.halfHeight);
+  }
+
+  const dx = x - closestX;
+  const dz = z - closestZ;
+  const distSq = dx * dx + dz * dz;
+
+  if (distSq >= minDistance * minDistance) return null;
+
+  if (distSq > 1e-8) {
+    const distance = Math.sqrt(distSq);
+    const overlap = minDistance - distance;
+    return { x: (dx / distance) * overlap, z: (dz / distance) * overlap };
+  }
+
+  // Centre exactly on a circle's centre or inside a rect: leave through the nearest side
+  if (collider.type === 'circle') {
+    return { x: minDistance, z: 0 };
+  }
+
+  const exits = [
+    { x: collider.x + collider.halfWidth - x + radius, z: 0 },
+    { x: collider.x - collider.halfWidth - x - radius, z: 0 },
+    { x: 0, z: collider.z + collider.halfHeight - z + radius },
+    { x: 0, z: collider.z - collider.halfHeight - z - radius }
+  ];
+  return exits.reduce((best, exit) =>
+    Math.abs(exit.x) + Math.abs(exit.z) < Math.abs(best.x) + Math.abs(best.z) ? exit : best
+  );
+}
+
+function getExtents(collider) {
+  return collider.type === 'circle'
+    ? [collider.radius, collider.radius]
+    : [collider.halfWidth, collider.halfHeight];
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,22 @@
+// Game-wide tuning shared by the server and client. Anything both sides
+// simulate or agree on belongs here rather than in local constants.
+
+export const GAME_CONFIG = {
+  // Units per second
+  MOVE_SPEED: 5,
+  // Server simulation steps per second; each movement input covers one step
+  TICK_RATE: 60,
+  // Remote players are drawn this many ms behind the server clock (about two patches)
+  INTERPOLATION_DELAY: 100,
+  GATHER_RANGE: 2.5,
+  CRAFT_STATION_RANGE: 4,
+  // Area of interest: entities enter a client's view within VIEW_RADIUS of their
+  // player and leave it past VIEW_RADIUS + VIEW_EXIT_MARGIN (rooms can override the radius)
+  VIEW_RADIUS: 40,
+  // The most a room's `viewRadius` option can ask for, so a room can't opt out
+  // of interest filtering by picking a huge radius
+  MAX_VIEW_RADIUS: 64,
+  VIEW_EXIT_MARGIN: 8,
+  // Default width and height of procedural worlds, which are generated chunk by chunk
+  PROCEDURAL_WORLD_SIZE: 2048
+};
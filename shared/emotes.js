@@ -0,0 +1,28 @@
+// Emotes picked from the emote wheel. While one plays, the emote id is the
+// player's `state`, so it syncs (and is interpolated) like walking or an action.
+
+export const EMOTES = {
+  wave: {
+    name: 'Wave',
+    icon: '👋',
+    duration: 2 // seconds
+  },
+  dance: {
+    name: 'Dance',
+    icon: '💃',
+    duration: 5
+  },
+  // No duration: you stay seated until you move
+  sit: {
+    name: 'Sit',
+    icon: '🪑',
+    duration: 0
+  },
+  point: {
+    name: 'Point',
+    icon: '👉',
+    duration: 2
+  }
+};
+
+export const EMOTE_IDS = Object.keys(EMOTES);
@@ -1,16 +1,52 @@
 // Shared constants and types for client-server communication
 
-export const GAME_CONFIG = {
-  WORLD_SIZE: 50,
-  MOVE_SPEED: 5,
-  TICK_RATE: 60,
-  INTERPOLATION_SPEED: 0.15
-};
+export * from './worldObjects.js';
+export * from './items.js';
+export * from './recipes.js';
+export * from './stats.js';
+export * from './config.js';
+export * from './collision.js';
+export * from './movement.js';
+export * from './chunks.js';
+export * from './profiles.js';
+export * from './chat.js';
+export * from './emotes.js';
+export * from './maps/ProceduralMapGenerator.js';
 
 export const MESSAGE_TYPES = {
   MOVE: 'move',
   STOP: 'stop',
-  ACTION: 'action'
+  ACTION: 'action',
+  GATHER: 'gather',
+  INVENTORY_MOVE: 'inventory_move',
+  INVENTORY_SPLIT: 'inventory_split',
+  INVENTORY_SWAP: 'inventory_swap',
+  INVENTORY_DROP: 'inventory_drop',
+  EQUIP: 'equip',
+  UNEQUIP: 'unequip',
+  CRAFT: 'craft',
+  CRAFT_RESULT: 'craft_result',
+  EAT: 'eat',
+  REVIVE: 'revive',
+  PLAYER_DIED: 'player_died',
+  PLAYER_REVIVED: 'player_revived',
+  // Sent to a client whose messages are being dropped, before it gets kicked
+  WARNING: 'warning',
+  // An announcement from the server's admins
+  SERVER_MESSAGE: 'server_message',
+  // { channel, text } from a client; { channel, from, name, text } to clients
+  CHAT: 'chat',
+  // { emote } from a client, see emotes.js
+  EMOTE: 'emote'
+};
+
+// WebSocket close codes the server leaves a room with
+export const CLOSE_CODES = {
+  // The client asked to leave
+  CONSENTED: 4000,
+  // Kicked for too many invalid or rate-limited messages, or by an admin; the
+  // close reason says why. Don't try to reconnect.
+  KICKED: 4001
 };
 
 export const PLAYER_STATES = {
@@ -18,6 +54,14 @@ export const PLAYER_STATES = {
   WALKING: 'walking',
   RUNNING: 'running',
   ACTION: 'action'
+  // Emote ids (see emotes.js) are states too
+};
+
+export const GAME_MODES = {
+  // Ghosts wait to be revived by another player or a touchstone
+  SURVIVAL: 'survival',
+  // Ghosts also respawn on their own after a delay
+  SURVIVAL_LITE: 'survival_lite'
 };
 
 export const DIRECTIONS = {
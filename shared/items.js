@@ -0,0 +1,36 @@
+// Item definitions shared by the server inventory and the client HUD.
+// stackSize is the most of one item a single inventory slot can hold;
+// equipSlot marks items that can be worn or held, and tool lets a held
+// item speed up gathering of resources that list it. food lists the stat
+// changes applied when the item is eaten, and lightRadius makes a held
+// item keep the darkness away. revives marks items that bring a ghost back.
+
+export const INVENTORY_SIZE = 15;
+
+export const EQUIP_SLOTS = ['hand', 'body', 'head'];
+
+export const ITEMS = {
+  log: { name: 'Log', icon: '🪵', stackSize: 20 },
+  stones: { name: 'Stones', icon: '🪨', stackSize: 20 },
+  flint: { name: 'Flint', icon: '🔺', stackSize: 20 },
+  cut_grass: { name: 'Cut Grass', icon: '🌾', stackSize: 40 },
+  berries: {
+    name: 'Berries',
+    icon: '🫐',
+    stackSize: 20,
+    food: { hunger: 9, health: 0, sanity: 0 }
+  },
+  cooked_berries: {
+    name: 'Roasted Berries',
+    icon: '🍇',
+    stackSize: 20,
+    food: { hunger: 12, health: 1, sanity: 1 }
+  },
+  rope: { name: 'Rope', icon: '🪢', stackSize: 20 },
+  axe: { name: 'Axe', icon: '🪓', stackSize: 1, equipSlot: 'hand', tool: 'axe' },
+  pickaxe: { name: 'Pickaxe', icon: '⛏️', stackSize: 1, equipSlot: 'hand', tool: 'pickaxe' },
+  torch: { name: 'Torch', icon: '🔥', stackSize: 1, equipSlot: 'hand', lightRadius: 4 },
+  grass_suit: { name: 'Grass Suit', icon: '🥋', stackSize: 1, equipSlot: 'body' },
+  straw_hat: { name: 'Straw Hat', icon: '👒', stackSize: 1, equipSlot: 'head' },
+  telltale_heart: { name: 'Telltale Heart', icon: '❤️', stackSize: 5, revives: true }
+};
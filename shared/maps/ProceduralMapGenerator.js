@@ -0,0 +1,355 @@
+// Seeded procedural map generation. The same seed and preset always produce
+// the same map, in the format described in MAP_FORMAT.md.
+
+import { CHUNK_CONFIG, DEFAULT_GROUND, chunkCoord } from '../chunks.js';
+
+export const MAP_PRESETS = {
+  // A bit of everything
+  wilderness: {
+    size: 50,
+    spawnCount: 1,
+    spawnClearing: 5,
+    objects: {
+      tree: { density: 1.4, noiseScale: 0.08, threshold: 0.45, spacing: 2 },
+      rock: { density: 0.6, noiseScale: 0.12, threshold: 0.55, spacing: 1.6 },
+      grass: { density: 1.8, noiseScale: 0.15, threshold: 0.4, spacing: 1 },
+      berry_bush: { density: 0.4, noiseScale: 0.1, threshold: 0.5, spacing: 1.5 }
+    }
+  },
+  denseForest: {
+    size: 60,
+    spawnCount: 1,
+    spawnClearing: 4,
+    objects: {
+      tree: { density: 3.5, noiseScale: 0.05, threshold: 0.3, spacing: 1.8 },
+      rock: { density: 0.3, noiseScale: 0.12, threshold: 0.6, spacing: 1.6 },
+      grass: { density: 0.8, noiseScale: 0.15, threshold: 0.5, spacing: 1 },
+      berry_bush: { density: 0.5, noiseScale: 0.1, threshold: 0.5, spacing: 1.5 }
+    }
+  },
+  rockyPlains: {
+    size: 60,
+    spawnCount: 2,
+    spawnClearing: 5,
+    objects: {
+      tree: { density: 0.4, noiseScale: 0.1, threshold: 0.6, spacing: 2 },
+      rock: { density: 2.2, noiseScale: 0.07, threshold: 0.35, spacing: 1.4 },
+      grass: { density: 1, noiseScale: 0.15, threshold: 0.45, spacing: 1 },
+      berry_bush: { density: 0.2, noiseScale: 0.1, threshold: 0.55, spacing: 1.5 }
+    }
+  },
+  // Open grassland with the odd copse of trees
+  meadow: {
+    size: 50,
+    spawnCount: 1,
+    spawnClearing: 6,
+    objects: {
+      tree: { density: 0.4, noiseScale: 0.06, threshold: 0.65, spacing: 2 },
+      rock: { density: 0.2, noiseScale: 0.12, threshold: 0.6, spacing: 1.6 },
+      grass: { density: 3.5, noiseScale: 0.1, threshold: 0.3, spacing: 0.9 },
+      berry_bush: { density: 0.9, noiseScale: 0.08, threshold: 0.45, spacing: 1.3 }
+    }
+  }
+};
+
+export const DEFAULT_PRESET = 'wilderness';
+
+// How many candidate points are tried per object placed
+const ATTEMPTS_PER_OBJECT = 4;
+
+// Keep objects (and spawns) away from the very edge of the world
+const EDGE_MARGIN = 1;
+
+// Generate a map from a preset name. Seeds may be numbers or strings.
+export function generateMap({ name = 'procedural', preset = DEFAULT_PRESET, seed = 0 } = {}) {
+  const config = getPreset(preset);
+
+  const numericSeed = hashSeed(seed);
+  const random = createRandom(numericSeed);
+  const half = config.size / 2 - EDGE_MARGIN;
+  const spawns = placeSpawns(config, random, half);
+
+  const maxSpacing = Math.max(...Object.values(config.objects).map((rule) => rule.spacing));
+  const grid = new PlacementGrid(maxSpacing);
+  const objects = [];
+
+  const inClearing = (x, y) => spawns.some((spawn) =>
+    (x - spawn.x) ** 2 + (y - spawn.y) ** 2 < config.spawnClearing ** 2
+  );
+
+  spawns.forEach((spawn, i) => {
+    const touchstone = createTouchstone(spawn, i, config);
+    objects.push(touchstone);
+    grid.add(touchstone.x, touchstone.y, 2);
+  });
+
+  const area = config.size * config.size;
+
+  Object.entries(config.objects).forEach(([type, rule], typeIndex) => {
+    // Each type gets its own noise field so forests and rock fields don't line up
+    const noise = createNoise2D(numericSeed + typeIndex * 7919);
+    const target = Math.round(rule.density * area / 100);
+    let placed = 0;
+
+    for (let attempt = 0; attempt < target * ATTEMPTS_PER_OBJECT && placed < target; attempt++) {
+      const { x, y } = randomPoint(random, half);
+
+      if (inClearing(x, y)) continue;
+      if (fractalNoise(noise, x * rule.noiseScale, y * rule.noiseScale) < rule.threshold) continue;
+      if (!grid.isFree(x, y, rule.spacing)) continue;
+
+      grid.add(x, y, rule.spacing);
+      objects.push({ type, x, y, rotation: round(random() * Math.PI * 2) });
+      placed++;
+    }
+  });
+
+  return {
+    version: 1,
+    name,
+    width: config.size,
+    height: config.size,
+    generator: { preset, seed },
+    spawns: { player: spawns },
+    objects,
+    collision: []
+  };
+}
+
+// Generate one chunk of a large world, in map coordinates (map y is world z).
+// Chunks share the world's noise fields so forests carry on across borders, and
+// each has its own random stream so they can be generated in any order.
+export function generateChunk({ preset = DEFAULT_PRESET, seed = 0, cx, cy, width, height }) {
+  const config = getPreset(preset);
+  const spawns = generateSpawns({ preset, seed, width, height });
+
+  const numericSeed = hashSeed(seed);
+  const random = createRandom(hashSeed(`${numericSeed}:${cx}:${cy}`));
+  const size = CHUNK_CONFIG.SIZE;
+  const minX = cx * size;
+  const minY = cy * size;
+  const halfWidth = width / 2;
+  const halfHeight = height / 2;
+  const clearing = config.spawnClearing;
+
+  const types = Object.keys(config.objects);
+  const noises = types.map((type, typeIndex) => createNoise2D(numericSeed + typeIndex * 7919));
+  const maxSpacing = Math.max(...Object.values(config.objects).map((rule) => rule.spacing));
+  const grid = new PlacementGrid(maxSpacing);
+  const objects = [];
+
+  const inBounds = (x, y, margin) => Math.abs(x) <= halfWidth - margin && Math.abs(y) <= halfHeight - margin;
+  const inClearing = (x, y) => spawns.some((spawn) =>
+    (x - spawn.x) ** 2 + (y - spawn.y) ** 2 < clearing ** 2
+  );
+
+  // Each spawn's touchstone goes in whichever chunk it falls in
+  spawns.forEach((spawn, i) => {
+    const touchstone = createTouchstone(spawn, i, config);
+    if (chunkCoord(touchstone.x) !== cx || chunkCoord(touchstone.y) !== cy) return;
+
+    objects.push(touchstone);
+    grid.add(touchstone.x, touchstone.y, 2);
+  });
+
+  Object.entries(config.objects).forEach(([type, rule], typeIndex) => {
+    const target = Math.round(rule.density * size * size / 100);
+    // Half a spacing in from the chunk's edges, so objects either side of a border can't overlap
+    const inset = rule.spacing / 2;
+    let placed = 0;
+
+    for (let attempt = 0; attempt < target * ATTEMPTS_PER_OBJECT && placed < target; attempt++) {
+      const x = round(minX + inset + random() * (size - inset * 2));
+      const y = round(minY + inset + random() * (size - inset * 2));
+
+      if (!inBounds(x, y, EDGE_MARGIN)) continue;
+      if (inClearing(x, y)) continue;
+      if (fractalNoise(noises[typeIndex], x * rule.noiseScale, y * rule.noiseScale) < rule.threshold) continue;
+      if (!grid.isFree(x, y, rule.spacing)) continue;
+
+      grid.add(x, y, rule.spacing);
+      objects.push({ id: `${type}_${cx}_${cy}_${placed}`, type, x, y, rotation: round(random() * Math.PI * 2) });
+      placed++;
+    }
+  });
+
+  // Ground follows the same noise: forest floor under woods, bare rock under rock fields.
+  // Tiles are row by row from the most negative x and y; '' is outside the world.
+  const tiles = CHUNK_CONFIG.GROUND_TILES;
+  const tileSize = size / tiles;
+  const groundNoise = (type) => {
+    const index = types.indexOf(type);
+    if (index === -1) return () => 0;
+    const rule = config.objects[type];
+    return (x, y) => fractalNoise(noises[index], x * rule.noiseScale, y * rule.noiseScale) >= rule.threshold;
+  };
+  const isForest = groundNoise('tree');
+  const isRocky = groundNoise('rock');
+  const ground = [];
+
+  for (let ty = 0; ty < tiles; ty++) {
+    for (let tx = 0; tx < tiles; tx++) {
+      const x = minX + (tx + 0.5) * tileSize;
+      const y = minY + (ty + 0.5) * tileSize;
+
+      if (!inBounds(x, y, 0)) {
+        ground.push('');
+      } else if (isForest(x, y)) {
+        ground.push('forest_floor');
+      } else if (isRocky(x, y)) {
+        ground.push('rocky');
+      } else {
+        ground.push(DEFAULT_GROUND);
+      }
+    }
+  }
+
+  return { objects, ground };
+}
+
+// Player spawns for a world of any size, at the same places generateMap puts
+// them in a map that size: its random stream starts with the spawns
+export function generateSpawns({ preset = DEFAULT_PRESET, seed = 0, width, height }) {
+  const config = getPreset(preset);
+  const extent = Math.min(width, height) / 2 - EDGE_MARGIN;
+  return placeSpawns(config, createRandom(hashSeed(seed)), extent);
+}
+
+// hasOwn, so names like 'constructor' aren't mistaken for presets
+function getPreset(preset) {
+  if (!Object.hasOwn(MAP_PRESETS, preset)) {
+    throw new Error(`Unknown map preset "${preset}". Available: ${Object.keys(MAP_PRESETS).join(', ')}`);
+  }
+  return MAP_PRESETS[preset];
+}
+
+// The first spawn is always the centre; others are spread around the middle of the map
+function placeSpawns(config, random, extent) {
+  const spawns = [{ x: 0, y: 0, radius: 3 }];
+  for (let i = 1; i < config.spawnCount; i++) {
+    spawns.push({ ...randomPoint(random, extent * 0.6), radius: 3 });
+  }
+  return spawns;
+}
+
+// A touchstone at the edge of each spawn clearing so ghosts can find one
+function createTouchstone(spawn, index, config) {
+  return {
+    id: `touchstone_${index}`,
+    type: 'touchstone',
+    x: spawn.x,
+    y: round(spawn.y - (config.spawnClearing - 1)),
+    rotation: 0
+  };
+}
+
+function randomPoint(random, extent) {
+  return {
+    x: round((random() * 2 - 1) * extent),
+    y: round((random() * 2 - 1) * extent)
+  };
+}
+
+// mulberry32: small, fast and good enough for level generation
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Numbers are used as-is, strings are hashed (FNV-1a) so "dark_forest" is a valid seed
+export function hashSeed(seed) {
+  if (typeof seed === 'number') return seed >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Value noise in [0, 1): random values on an integer lattice, smoothly interpolated
+export function createNoise2D(seed) {
+  const lattice = (ix, iy) => {
+    let h = Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1) ^ seed;
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  };
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  return (x, y) => {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = smooth(x - ix);
+    const fy = smooth(y - iy);
+
+    const top = lattice(ix, iy) + (lattice(ix + 1, iy) - lattice(ix, iy)) * fx;
+    const bottom = lattice(ix, iy + 1) + (lattice(ix + 1, iy + 1) - lattice(ix, iy + 1)) * fx;
+    return top + (bottom - top) * fy;
+  };
+}
+
+// A few octaves of noise summed for more natural looking patches
+function fractalNoise(noise, x, y, octaves = 3) {
+  let value = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let total = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    value += noise(x * frequency, y * frequency) * amplitude;
+    total += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+
+  return value / total;
+}
+
+// Grid of placed points for fast minimum-spacing checks
+class PlacementGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  key(cx, cy) {
+    return `${cx},${cy}`;
+  }
+
+  add(x, y, spacing) {
+    const key = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push({ x, y, spacing });
+  }
+
+  // Two objects must be at least the larger of their spacings apart
+  isFree(x, y, spacing) {
+    const cx = Math.floor(x / this.cellSize);
+    const cy = Math.floor(y / this.cellSize);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const other of this.cells.get(this.key(cx + dx, cy + dy)) ?? []) {
+          const minDistance = Math.max(spacing, other.spacing);
+          if ((x - other.x) ** 2 + (y - other.y) ** 2 < minDistance * minDistance) {
+            return false;
+          }
+        }
+      }
+    }
+
+    return true;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
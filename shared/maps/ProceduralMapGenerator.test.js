@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { chunkCoord } from '../chunks.js';
+import { generateMap, generateChunk, generateSpawns, hashSeed, MAP_PRESETS } from './ProceduralMapGenerator.js';
+
+test('the same preset and seed always give the same map', () => {
+  for (const preset of Object.keys(MAP_PRESETS)) {
+    assert.deepEqual(generateMap({ preset, seed: 42 }), generateMap({ preset, seed: 42 }));
+  }
+  assert.deepEqual(generateMap({ seed: 'dark_forest' }), generateMap({ seed: 'dark_forest' }));
+});
+
+test('different seeds give different maps', () => {
+  assert.notDeepEqual(generateMap({ seed: 1 }).objects, generateMap({ seed: 2 }).objects);
+});
+
+test('dark_forest.json is what generate-map.js writes for it', async () => {
+  const saved = JSON.parse(await readFile(new URL('./dark_forest.json', import.meta.url), 'utf8'));
+  assert.deepEqual(generateMap({ name: saved.name, ...saved.generator }), saved);
+});
+
+test('every spawn has a clearing with a touchstone', () => {
+  for (const [preset, config] of Object.entries(MAP_PRESETS)) {
+    const map = generateMap({ preset, seed: 7 });
+    const spawns = map.spawns.player;
+    const touchstones = map.objects.filter((obj) => obj.type === 'touchstone');
+
+    assert.equal(spawns.length, config.spawnCount);
+    assert.deepEqual(touchstones.map((obj) => obj.id), spawns.map((spawn, i) => `touchstone_${i}`));
+
+    for (const obj of map.objects) {
+      if (obj.type === 'touchstone') continue;
+      for (const spawn of spawns) {
+        assert.ok((obj.x - spawn.x) ** 2 + (obj.y - spawn.y) ** 2 >= config.spawnClearing ** 2);
+      }
+    }
+  }
+});
+
+test('objects stay inside the map', () => {
+  const map = generateMap({ preset: 'denseForest', seed: 99 });
+  for (const obj of map.objects) {
+    assert.ok(Math.abs(obj.x) < map.width / 2 && Math.abs(obj.y) < map.height / 2);
+  }
+});
+
+test('unknown and inherited presets are rejected', () => {
+  for (const preset of ['volcano', 'constructor', '__proto__']) {
+    assert.throws(() => generateMap({ preset }), /Unknown map preset/);
+  }
+});
+
+test('numeric seeds are used as-is and strings are hashed', () => {
+  assert.equal(hashSeed(12345), 12345);
+  assert.equal(hashSeed('abc'), hashSeed('abc'));
+  assert.notEqual(hashSeed('abc'), hashSeed('abd'));
+});
+
+test('chunks are the same whatever order they are generated in', () => {
+  const world = { preset: 'wilderness', seed: 'chunks', width: 256, height: 256 };
+  const first = generateChunk({ ...world, cx: 1, cy: -2 });
+  generateChunk({ ...world, cx: 0, cy: 0 });
+  generateChunk({ ...world, cx: -3, cy: 2 });
+
+  assert.deepEqual(generateChunk({ ...world, cx: 1, cy: -2 }), first);
+  assert.notDeepEqual(generateChunk({ ...world, cx: 2, cy: -2 }).objects, first.objects);
+});
+
+test('large worlds get the same spawns as a generated map of that size', () => {
+  for (const [preset, config] of Object.entries(MAP_PRESETS)) {
+    const map = generateMap({ preset, seed: 3 });
+    assert.deepEqual(generateSpawns({ preset, seed: 3, width: config.size, height: config.size }), map.spawns.player);
+  }
+  assert.equal(generateSpawns({ preset: 'rockyPlains', seed: 3, width: 2048, height: 2048 }).length, 2);
+});
+
+test('each spawn of a large world has its touchstone and clearing', () => {
+  const world = { preset: 'rockyPlains', seed: 11, width: 512, height: 512 };
+  const spawns = generateSpawns(world);
+  const { spawnClearing } = MAP_PRESETS.rockyPlains;
+
+  spawns.forEach((spawn, i) => {
+    const cx = chunkCoord(spawn.x);
+    const cy = chunkCoord(spawn.y - (spawnClearing - 1));
+    const { objects } = generateChunk({ ...world, cx, cy });
+
+    assert.deepEqual(objects.filter((obj) => obj.type === 'touchstone').map((obj) => obj.id), [`touchstone_${i}`]);
+
+    // Nothing grows in a clearing, whichever chunk it overlaps
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const obj of generateChunk({ ...world, cx: chunkCoord(spawn.x) + dx, cy: chunkCoord(spawn.y) + dy }).objects) {
+          if (obj.type === 'touchstone') continue;
+          assert.ok((obj.x - spawn.x) ** 2 + (obj.y - spawn.y) ** 2 >= spawnClearing ** 2);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Generate a map JSON file from a preset.
+//
+//   node generate-map.js <name> [preset] [seed]
+//
+// The map is written next to this script as <name>.json.
+
+import { writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { generateMap, MAP_PRESETS, DEFAULT_PRESET } from './ProceduralMapGenerator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const [name, preset = DEFAULT_PRESET, seedArg] = process.argv.slice(2);
+
+if (!name || !/^[a-z0-9_-]+$/i.test(name)) {
+  console.log('Usage: node generate-map.js <name> [preset] [seed]');
+  console.log(`Presets: ${Object.keys(MAP_PRESETS).join(', ')}`);
+  process.exit(1);
+}
+
+if (!Object.hasOwn(MAP_PRESETS, preset)) {
+  console.error(`❌ Unknown preset "${preset}". Available: ${Object.keys(MAP_PRESETS).join(', ')}`);
+  process.exit(1);
+}
+
+// Numeric seeds stay numbers so "12345" and 12345 give the same map
+let seed;
+if (seedArg === undefined) {
+  seed = Math.floor(Math.random() * 2 ** 32);
+} else {
+  seed = /^\d+$/.test(seedArg) ? Number(seedArg) : seedArg;
+}
+
+const map = generateMap({ name, preset, seed });
+const path = join(__dirname, `${name}.json`);
+
+await writeFile(path, JSON.stringify(map, null, 2) + '\n');
+
+const counts = {};
+for (const obj of map.objects) {
+  counts[obj.type] = (counts[obj.type] ?? 0) + 1;
+}
+
+console.log(`🗺️ Generated "${name}" (${preset}, seed ${seed}) → ${path}`);
+console.log(`   ${map.width}×${map.height}, ${map.spawns.player.length} spawn(s)`);
+for (const [type, count] of Object.entries(counts)) {
+  console.log(`   ${type}: ${count}`);
+}
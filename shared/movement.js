@@ -0,0 +1,55 @@
+// Player movement shared by the server simulation and client prediction, so the
+// two can't drift apart. Each movement input covers exactly one fixed step.
+
+import { GAME_CONFIG } from './config.js';
+import { DEATH_CONFIG } from './stats.js';
+import { COLLISION_CONFIG, resolveCollisions } from './collision.js';
+
+// Seconds per movement step
+export const STEP_DT = 1 / GAME_CONFIG.TICK_RATE;
+
+// Advance `body` ({ id, x, z, rotation, isGhost }) by one input ({ dirX, dirZ }).
+// `world` is { colliders, width, height }: spatial hashes to slide around and the
+// world size to clamp to (0 for no bounds). Returns the new
+// { x, z, velocityX, velocityZ, rotation, moving } without changing `body`.
+export function stepMovement(body, input, world) {
+  const { dirX, dirZ } = input;
+  const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+
+  if (length === 0) {
+    return { x: body.x, z: body.z, velocityX: 0, velocityZ: 0, rotation: body.rotation, moving: false };
+  }
+
+  // Ghosts drift a little slower
+  const speed = body.isGhost ? GAME_CONFIG.MOVE_SPEED * DEATH_CONFIG.GHOST_SPEED_MULTIPLIER : GAME_CONFIG.MOVE_SPEED;
+  const velocityX = (dirX / length) * speed;
+  const velocityZ = (dirZ / length) * speed;
+
+  let x = body.x + velocityX * STEP_DT;
+  let z = body.z + velocityZ * STEP_DT;
+
+  // Slide around anything in the way; ghosts float through everything
+  if (!body.isGhost && world.colliders) {
+    const resolved = resolveCollisions(x, z, COLLISION_CONFIG.PLAYER_RADIUS, world.colliders, body.id);
+    x = resolved.x;
+    z = resolved.z;
+  }
+
+  // Clamp to world bounds (worlds are centred on the origin)
+  if (world.width > 0) {
+    const halfWidth = world.width / 2;
+    const halfHeight = world.height / 2;
+    x = Math.max(-halfWidth, Math.min(halfWidth, x));
+    z = Math.max(-halfHeight, Math.min(halfHeight, z));
+  }
+
+  return {
+    x,
+    z,
+    velocityX,
+    velocityZ,
+    // Face the direction of movement
+    rotation: Math.atan2(dirX, dirZ),
+    moving: true
+  };
+}
@@ -0,0 +1,83 @@
+// Player profiles: the name and look chosen before joining. The client checks
+// names with validateName() for instant feedback; the server checks again on join.
+
+export const PROFILE_CONFIG = {
+  NAME_MIN_LENGTH: 2,
+  NAME_MAX_LENGTH: 16,
+  // Letters, digits, spaces, underscores and hyphens
+  NAME_PATTERN: /^[A-Za-z0-9 _-]+$/
+};
+
+// Body colours a character can have
+export const CHARACTER_COLORS = [
+  '#4CAF50',
+  '#f44336',
+  '#2196F3',
+  '#FF9800',
+  '#9C27B0',
+  '#00BCD4',
+  '#795548',
+  '#E91E63'
+];
+
+// Character looks; the client draws each one in GameEngine.createCharacterTexture
+export const CHARACTER_VARIANTS = {
+  scruffy: { label: 'Scruffy' },
+  pigtails: { label: 'Pigtails' },
+  strongman: { label: 'Strongman' }
+};
+
+export const DEFAULT_COLOR = CHARACTER_COLORS[0];
+export const DEFAULT_VARIANT = 'scruffy';
+
+// Matched inside names after undoing common letter swaps, so keep these to
+// words that don't turn up inside ordinary ones
+const BLOCKED_WORDS = [
+  'fuck',
+  'shit',
+  'cunt',
+  'bitch',
+  'whore',
+  'slut',
+  'nigger',
+  'nigga',
+  'faggot',
+  'retard',
+  'penis',
+  'vagina',
+  'dildo'
+];
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g' };
+
+// Returns { name, error }: the name with whitespace tidied, or why it can't be used
+export function validateName(raw) {
+  if (typeof raw !== 'string') return { name: '', error: 'Name must be text' };
+
+  const name = raw.trim().replace(/\s+/g, ' ');
+
+  if (name.length < PROFILE_CONFIG.NAME_MIN_LENGTH) {
+    return { name, error: `Name must be at least ${PROFILE_CONFIG.NAME_MIN_LENGTH} characters` };
+  }
+  if (name.length > PROFILE_CONFIG.NAME_MAX_LENGTH) {
+    return { name, error: `Name must be at most ${PROFILE_CONFIG.NAME_MAX_LENGTH} characters` };
+  }
+  if (!PROFILE_CONFIG.NAME_PATTERN.test(name)) {
+    return { name, error: 'Name can only use letters, numbers, spaces, _ and -' };
+  }
+  if (isProfane(name)) {
+    return { name, error: 'Please choose a different name' };
+  }
+
+  return { name, error: null };
+}
+
+export function isProfane(text) {
+  // "F_u-c k" and "sh1t" both count
+  const squashed = text
+    .toLowerCase()
+    .replace(/[0-9]/g, (digit) => LOOKALIKES[digit] ?? digit)
+    .replace(/[^a-z]/g, '');
+
+  return BLOCKED_WORDS.some((word) => squashed.includes(word));
+}
@@ -0,0 +1,117 @@
+// Crafting recipe registry shared by the server (validation) and client (crafting menu).
+//
+// Each recipe is plain data:
+//   ingredients - items consumed from the crafter's inventory
+//   output      - { item, count } added to the inventory, or { structure } placed in the world
+//   station     - world object type that must be nearby every time the recipe is crafted
+//   unlock      - null if known from the start, or { prototype: stationType } to require
+//                 crafting it once near that station before it can be crafted anywhere
+
+export const RECIPES = {
+  rope: {
+    name: 'Rope',
+    ingredients: [{ item: 'cut_grass', count: 3 }],
+    output: { item: 'rope', count: 1 },
+    station: null,
+    unlock: null
+  },
+  axe: {
+    name: 'Axe',
+    ingredients: [
+      { item: 'log', count: 1 },
+      { item: 'flint', count: 1 }
+    ],
+    output: { item: 'axe', count: 1 },
+    station: null,
+    unlock: null
+  },
+  torch: {
+    name: 'Torch',
+    ingredients: [
+      { item: 'log', count: 2 },
+      { item: 'cut_grass', count: 2 }
+    ],
+    output: { item: 'torch', count: 1 },
+    station: null,
+    unlock: null
+  },
+  campfire: {
+    name: 'Campfire',
+    ingredients: [
+      { item: 'log', count: 2 },
+      { item: 'cut_grass', count: 3 }
+    ],
+    output: { structure: 'campfire' },
+    station: null,
+    unlock: null
+  },
+  science_machine: {
+    name: 'Science Machine',
+    ingredients: [
+      { item: 'log', count: 4 },
+      { item: 'stones', count: 4 },
+      { item: 'flint', count: 1 }
+    ],
+    output: { structure: 'science_machine' },
+    station: null,
+    unlock: null
+  },
+  cooked_berries: {
+    name: 'Roasted Berries',
+    ingredients: [{ item: 'berries', count: 1 }],
+    output: { item: 'cooked_berries', count: 1 },
+    station: 'campfire',
+    unlock: null
+  },
+  pickaxe: {
+    name: 'Pickaxe',
+    ingredients: [
+      { item: 'log', count: 2 },
+      { item: 'flint', count: 2 }
+    ],
+    output: { item: 'pickaxe', count: 1 },
+    station: null,
+    unlock: { prototype: 'science_machine' }
+  },
+  straw_hat: {
+    name: 'Straw Hat',
+    ingredients: [
+      { item: 'cut_grass', count: 8 },
+      { item: 'rope', count: 1 }
+    ],
+    output: { item: 'straw_hat', count: 1 },
+    station: null,
+    unlock: { prototype: 'science_machine' }
+  },
+  grass_suit: {
+    name: 'Grass Suit',
+    ingredients: [
+      { item: 'cut_grass', count: 10 },
+      { item: 'rope', count: 2 }
+    ],
+    output: { item: 'grass_suit', count: 1 },
+    station: null,
+    unlock: { prototype: 'science_machine' }
+  },
+  telltale_heart: {
+    name: 'Telltale Heart',
+    ingredients: [
+      { item: 'cut_grass', count: 3 },
+      { item: 'rope', count: 1 },
+      { item: 'berries', count: 2 }
+    ],
+    output: { item: 'telltale_heart', count: 1 },
+    station: null,
+    unlock: null
+  },
+  trap: {
+    name: 'Trap',
+    ingredients: [
+      { item: 'cut_grass', count: 6 },
+      { item: 'rope', count: 1 }
+    ],
+    output: { structure: 'trap' },
+    station: null,
+    unlock: { prototype: 'science_machine' }
+  }
+};
@@ -0,0 +1,45 @@
+// Survival stat tuning shared by the server simulation and the client HUD.
+// Rates are per second of game time.
+
+export const STAT_CONFIG = {
+  MAX: 100,
+
+  // Hunger drains steadily; an empty stomach hurts
+  HUNGER_DRAIN: 0.1,
+  STARVING_HEALTH_DRAIN: 1,
+
+  // Health slowly recovers while well fed
+  WELL_FED_THRESHOLD: 75,
+  WELL_FED_HEALTH_REGEN: 0.1,
+
+  // Sanity drains as the day gets darker, faster still away from any light
+  SANITY_DRAIN: {
+    day: 0,
+    dusk: 0.05,
+    night: 0.1
+  },
+  DARKNESS_SANITY_DRAIN: 0.4,
+
+  // Sitting by a fire is good for the mind
+  CAMPFIRE_SANITY_REGEN: 0.2,
+
+  // How often stats are applied, to avoid sending a patch every tick
+  UPDATE_INTERVAL: 1
+};
+
+export const DEATH_CONFIG = {
+  // Seconds a ghost waits before respawning in survival-lite mode
+  RESPAWN_DELAY: 30,
+
+  // How close a reviver (or touchstone) must be to a ghost
+  REVIVE_RANGE: 2.5,
+
+  // Stats a revived player comes back with
+  REVIVE_STATS: {
+    health: 50,
+    hunger: 50,
+    sanity: 50
+  },
+
+  GHOST_SPEED_MULTIPLIER: 0.8
+};
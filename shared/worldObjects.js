@@ -0,0 +1,56 @@
+// World object definitions shared by the server simulation and client feedback.
+// Keep these as plain data so new resources can be added without touching room logic.
+// A gather `tool` doubles the hits dealt per swing while that tool is held.
+// lightRadius marks light sources that protect players from the dark.
+// collisionRadius gives the object a circle collider; objects without one can be walked through.
+
+export const WORLD_OBJECT_TYPES = {
+  tree: {
+    collisionRadius: 0.9,
+    gather: {
+      verb: 'chop',
+      hits: 4,
+      tool: 'axe',
+      loot: [{ item: 'log', count: 2 }],
+      depletedVariant: 'stump'
+    }
+  },
+  rock: {
+    collisionRadius: 0.5,
+    gather: {
+      verb: 'mine',
+      hits: 3,
+      tool: 'pickaxe',
+      loot: [
+        { item: 'stones', count: 2 },
+        { item: 'flint', count: 1, chance: 0.5 }
+      ],
+      // No variant: the rock is removed from the world once mined out
+      depletedVariant: null
+    }
+  },
+  grass: {
+    gather: {
+      verb: 'pick',
+      hits: 1,
+      loot: [{ item: 'cut_grass', count: 1 }],
+      depletedVariant: 'picked',
+      regrowTime: 120
+    }
+  },
+  berry_bush: {
+    gather: {
+      verb: 'pick',
+      hits: 1,
+      loot: [{ item: 'berries', count: 2 }],
+      depletedVariant: 'picked',
+      regrowTime: 240
+    }
+  },
+  // Crafted structures
+  campfire: { structure: true, lightRadius: 6, collisionRadius: 0.5 },
+  science_machine: { structure: true, collisionRadius: 0.7 },
+  trap: { structure: true },
+  // Ghosts can haunt a touchstone to come back to life
+  touchstone: { reviveStation: true, collisionRadius: 0.8 }
+};